@@ -4,7 +4,7 @@
 //
 //  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
 //  Generated from Figma Variables via Style Dictionary
-//  Last updated: 2025-10-20T04:50:39.353Z
+//  Content hash: 59519ce81690
 //
 
 import SwiftUI
@@ -4,15 +4,15 @@
 //
 //  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
 //  Generated from Figma Variables via Style Dictionary
-//  Last updated: 2025-10-20T04:50:39.353Z
+//  Content hash: 45688f528169
 //
 
 import SwiftUI
 
 extension Color {
-    static let primary800 = Color(hex: "#000000")
-    static let primary600 = Color(hex: "#212121")
-    static let secondary400 = Color(hex: "#c2c2c2")
-    static let ssforeground = Color(hex: "#ffffff")
-    static let ssbackground = Color(hex: "#f7f7f2")
+    static let primary600 = Color("primary600", bundle: .main)
+    static let primary800 = Color("primary800", bundle: .main)
+    static let secondary400 = Color("secondary400", bundle: .main)
+    static let ssbackground = Color("ssbackground", bundle: .main)
+    static let ssforeground = Color("ssforeground", bundle: .main)
 }
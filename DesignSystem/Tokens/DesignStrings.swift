@@ -0,0 +1,15 @@
+//
+//  DesignStrings.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: bf0dc72a6dea
+//
+
+import Foundation
+
+struct DesignStrings {
+    static let weightbold: String = "String value"
+    static let weightsemibold: String = "String value"
+}
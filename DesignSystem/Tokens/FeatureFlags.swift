@@ -0,0 +1,13 @@
+//
+//  FeatureFlags.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 22d496bbff29
+//
+
+import Foundation
+
+struct FeatureFlags {
+}
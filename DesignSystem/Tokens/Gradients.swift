@@ -0,0 +1,16 @@
+//
+//  Gradients.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: c7ede614ac2c
+//
+
+import SwiftUI
+
+extension LinearGradient {
+}
+
+extension RadialGradient {
+}
@@ -0,0 +1,13 @@
+//
+//  Opacity.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: a2ff74fb78da
+//
+
+import Foundation
+
+struct Opacity {
+}
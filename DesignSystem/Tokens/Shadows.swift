@@ -4,24 +4,90 @@
 //
 //  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
 //  Generated from Figma Variables via Style Dictionary
-//  Last updated: 2025-10-20T04:50:39.353Z
+//  Content hash: 3f07e59659aa
 //
 
 import SwiftUI
 
+/// A Figma effect style: drop and inner shadow layers, drawn in order
 struct Shadow {
-    let offset: CGSize
-    let blur: CGFloat
-    let color: Color
-    let opacity: Double
-    
+    struct Layer {
+        let offset: CGSize
+        let blur: CGFloat
+        let spread: CGFloat
+        let color: Color
+        let opacity: Double
+        let inset: Bool
+    }
+
+    let layers: [Layer]
+
+    init(layers: [Layer]) {
+        self.layers = layers
+    }
+
+    /// A single drop shadow
     init(offset: CGSize, blur: CGFloat, color: Color, opacity: Double) {
-        self.offset = offset
-        self.blur = blur
-        self.color = color
-        self.opacity = opacity
+        self.init(layers: [Layer(offset: offset, blur: blur, spread: 0, color: color, opacity: opacity, inset: false)])
     }
+
+    // The first layer, for code written against single-layer shadows. Use
+    // `designShadow` to draw every layer
+    var offset: CGSize { layers[0].offset }
+    var blur: CGFloat { layers[0].blur }
+    var color: Color { layers[0].color }
+    var opacity: Double { layers[0].opacity }
 }
 
 extension Shadow {
 }
+
+/// Draws shadow layers around `shape`. SwiftUI's shadow has no spread or
+/// inset, so drop shadows are blurred copies of the shape behind the view
+/// and inner shadows a blurred outline clipped to it. Figma's blur is twice
+/// SwiftUI's blur radius.
+struct DesignShadowModifier<S: Shape>: ViewModifier {
+    let shadow: Shadow
+    let shape: S
+
+    func body(content: Content) -> some View {
+        content
+            .background {
+                ZStack {
+                    ForEach(shadow.layers.indices.filter { !shadow.layers[$0].inset }, id: \.self) { index in
+                        let layer = shadow.layers[index]
+                        shape
+                            .fill(layer.color.opacity(layer.opacity))
+                            .padding(-layer.spread)
+                            .offset(layer.offset)
+                            .blur(radius: layer.blur / 2)
+                    }
+                }
+            }
+            .overlay {
+                ZStack {
+                    ForEach(shadow.layers.indices.filter { shadow.layers[$0].inset }, id: \.self) { index in
+                        let layer = shadow.layers[index]
+                        shape
+                            .stroke(layer.color.opacity(layer.opacity), lineWidth: (layer.blur + layer.spread) * 2)
+                            .offset(layer.offset)
+                            .blur(radius: layer.blur / 2)
+                    }
+                }
+                .clipShape(shape)
+                .allowsHitTesting(false)
+            }
+    }
+}
+
+extension View {
+    /// Applies every layer of a design system shadow: `.designShadow(.card, in: RoundedRectangle(cornerRadius: 12))`
+    func designShadow<S: Shape>(_ shadow: Shadow, in shape: S) -> some View {
+        modifier(DesignShadowModifier(shadow: shadow, shape: shape))
+    }
+
+    /// Applies every layer of a design system shadow to a rectangular view
+    func designShadow(_ shadow: Shadow) -> some View {
+        designShadow(shadow, in: Rectangle())
+    }
+}
@@ -4,20 +4,20 @@
 //
 //  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
 //  Generated from Figma Variables via Style Dictionary
-//  Last updated: 2025-10-20T04:50:39.353Z
+//  Content hash: 22cc246fce78
 //
 
 import SwiftUI
 
 struct Spacing {
+    static let averagelineheight: CGFloat = 0
+    static let fontsizecapcaption: CGFloat = 0
+    static let fontsizem: CGFloat = 0
     static let fontsizexl: CGFloat = 0
     static let fontsizexs: CGFloat = 0
-    static let fontsizecapcaption: CGFloat = 0
+    static let l: CGFloat = 14
     static let largelineheight: CGFloat = 0
-    static let averagelineheight: CGFloat = 0
-    static let fontsizem: CGFloat = 0
-    static let s: CGFloat = 7
     static let m: CGFloat = 11
-    static let l: CGFloat = 14
+    static let s: CGFloat = 7
     static let xl: CGFloat = 21
 }
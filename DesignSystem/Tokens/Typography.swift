@@ -4,12 +4,10 @@
 //
 //  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
 //  Generated from Figma Variables via Style Dictionary
-//  Last updated: 2025-10-20T04:50:39.353Z
+//  Content hash: 1984dd26b6ee
 //
 
 import SwiftUI
 
 extension Font {
-    static let weightbold = Font.system(size: String value)
-    static let weightsemibold = Font.system(size: String value)
 }
@@ -0,0 +1,18 @@
+//
+//  UIColors.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 41bbf269cef8
+//
+
+import UIKit
+
+extension UIColor {
+    static let primary600 = UIColor(red: 0.129, green: 0.129, blue: 0.129, alpha: 1)
+    static let primary800 = UIColor(red: 0, green: 0, blue: 0, alpha: 1)
+    static let secondary400 = UIColor(red: 0.761, green: 0.761, blue: 0.761, alpha: 1)
+    static let ssbackground = UIColor(red: 0.969, green: 0.969, blue: 0.949, alpha: 1)
+    static let ssforeground = UIColor(red: 1, green: 1, blue: 1, alpha: 1)
+}
@@ -0,0 +1,13 @@
+//
+//  UIFonts.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: d1de10b917ef
+//
+
+import UIKit
+
+extension UIFont {
+}
@@ -0,0 +1,25 @@
+//
+//  UIMetrics.swift
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 5caf2701756a
+//
+
+import UIKit
+
+extension CGFloat {
+    static let spacingAveragelineheight: CGFloat = 0
+    static let spacingFontsizecapcaption: CGFloat = 0
+    static let spacingFontsizem: CGFloat = 0
+    static let spacingFontsizexl: CGFloat = 0
+    static let spacingFontsizexs: CGFloat = 0
+    static let spacingL: CGFloat = 14
+    static let spacingLargelineheight: CGFloat = 0
+    static let spacingM: CGFloat = 11
+    static let spacingS: CGFloat = 7
+    static let spacingXl: CGFloat = 21
+    static let borderRadiusCornerradius1: CGFloat = 23
+    static let borderRadiusCornerradius2: CGFloat = 12
+}
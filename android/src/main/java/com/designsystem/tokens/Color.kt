@@ -0,0 +1,20 @@
+//
+//  Color.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 7457ae1f27a7
+//
+
+package com.designsystem.tokens
+
+import androidx.compose.ui.graphics.Color
+
+object DesignColors {
+    val primary600 = Color(0xFF212121)
+    val primary800 = Color(0xFF000000)
+    val secondary400 = Color(0xFFC2C2C2)
+    val ssbackground = Color(0xFFF7F7F2)
+    val ssforeground = Color(0xFFFFFFFF)
+}
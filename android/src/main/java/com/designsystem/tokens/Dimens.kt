@@ -0,0 +1,30 @@
+//
+//  Dimens.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 24ee6ad8b92b
+//
+
+package com.designsystem.tokens
+
+import androidx.compose.ui.unit.dp
+
+object Spacing {
+    val averagelineheight = 0.dp
+    val fontsizecapcaption = 0.dp
+    val fontsizem = 0.dp
+    val fontsizexl = 0.dp
+    val fontsizexs = 0.dp
+    val l = 14.dp
+    val largelineheight = 0.dp
+    val m = 11.dp
+    val s = 7.dp
+    val xl = 21.dp
+}
+
+object BorderRadius {
+    val cornerradius1 = 23.dp
+    val cornerradius2 = 12.dp
+}
@@ -0,0 +1,35 @@
+//
+//  Elevation.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 6fd2af3448c2
+//
+
+package com.designsystem.tokens
+
+import androidx.compose.runtime.Immutable
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.unit.Dp
+import androidx.compose.ui.unit.dp
+
+@Immutable
+data class ShadowLayer(
+    val offsetX: Dp,
+    val offsetY: Dp,
+    val blur: Dp,
+    val spread: Dp,
+    val color: Color,
+    val inset: Boolean = false
+)
+
+/** A Figma effect style: drop and inner shadow layers, drawn in order */
+@Immutable
+data class DesignShadow(val layers: List<ShadowLayer>) {
+    /** Compose elevation whose shadow comes closest to the largest drop shadow blur */
+    val elevation: Dp get() = layers.filter { !it.inset }.maxOfOrNull { it.blur / 2 } ?: 0.dp
+}
+
+object Elevation {
+}
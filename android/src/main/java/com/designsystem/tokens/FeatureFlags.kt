@@ -0,0 +1,13 @@
+//
+//  FeatureFlags.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 1996f1d2a9ef
+//
+
+package com.designsystem.tokens
+
+object FeatureFlags {
+}
@@ -0,0 +1,13 @@
+//
+//  Opacity.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 242841c07ef6
+//
+
+package com.designsystem.tokens
+
+object Opacity {
+}
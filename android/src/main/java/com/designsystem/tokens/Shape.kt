@@ -0,0 +1,17 @@
+//
+//  Shape.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: f90ae6e67a35
+//
+
+package com.designsystem.tokens
+
+import androidx.compose.foundation.shape.RoundedCornerShape
+
+object DesignShapes {
+    val cornerradius1 = RoundedCornerShape(BorderRadius.cornerradius1)
+    val cornerradius2 = RoundedCornerShape(BorderRadius.cornerradius2)
+}
@@ -0,0 +1,15 @@
+//
+//  Strings.kt
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 39f9b2d7e095
+//
+
+package com.designsystem.tokens
+
+object DesignStrings {
+    val weightbold = "String value"
+    val weightsemibold = "String value"
+}
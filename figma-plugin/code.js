@@ -1,60 +1,90 @@
 // Figma Plugin: Design Tokens Sync
 // Main plugin code that handles Variables API access and GitHub integration
 
-// Show the plugin UI
-figma.showUI(__html__, { width: 320, height: 500 });
+// Only Figma runs the UI; Node scripts load this file for its shared helpers (see the end of the file)
+if (typeof figma !== 'undefined') {
+  // Show the plugin UI
+  figma.showUI(__html__, { width: 320, height: 640 });
 
-// Handle messages from UI
-figma.ui.onmessage = async (msg) => {
-  try {
-    console.log('Plugin received message:', msg.type);
+  // Handle messages from UI
+  figma.ui.onmessage = async (msg) => {
+    try {
+      console.log('Plugin received message:', msg.type);
     
-    switch (msg.type) {
-      case 'get-variables':
-        await handleGetVariables();
-        break;
+      switch (msg.type) {
+        case 'get-collections':
+          await handleGetCollections();
+          break;
         
-      case 'export-to-github':
-        if (!msg.githubToken || !msg.repoOwner || !msg.repoName) {
-          throw new Error('Missing GitHub credentials');
-        }
-        await handleExportToGitHub(msg.githubToken, msg.repoOwner, msg.repoName);
-        break;
+        case 'get-variables':
+          await handleGetVariables(msg.hiddenVariables, msg.selection);
+          break;
         
-      default:
-        console.log('Unknown message type:', msg.type);
-    }
-  } catch (error) {
-    console.error('Plugin error:', error);
-    const errorMessage = (error && typeof error === 'object' && error.message) 
-      ? error.message 
-      : (typeof error === 'string' ? error : 'Unknown error occurred');
+        case 'export-to-github':
+          if (!msg.githubToken || !msg.repoOwner || !msg.repoName) {
+            throw new Error('Missing GitHub credentials');
+          }
+          await handleExportToGitHub(msg.githubToken, msg.repoOwner, msg.repoName, msg.format, msg.hiddenVariables, msg.selection);
+          break;
+        
+        default:
+          console.log('Unknown message type:', msg.type);
+      }
+    } catch (error) {
+      console.error('Plugin error:', error);
+      const errorMessage = (error && typeof error === 'object' && error.message) 
+        ? error.message 
+        : (typeof error === 'string' ? error : 'Unknown error occurred');
     
-    figma.ui.postMessage({
-      type: 'export-error',
-      error: errorMessage
-    });
-  }
-};
+      figma.ui.postMessage({
+        type: 'export-error',
+        error: errorMessage
+      });
+    }
+  };
+}
+
+// List variable collections and their modes so the UI can offer them for export
+async function handleGetCollections() {
+  const collections = await figma.variables.getLocalVariableCollectionsAsync();
+
+  figma.ui.postMessage({
+    type: 'collections-loaded',
+    data: {
+      collections: collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        variableCount: collection.variableIds.length,
+        defaultModeId: collection.defaultModeId,
+        modes: collection.modes.map(mode => ({ modeId: mode.modeId, name: mode.name }))
+      }))
+    }
+  });
+}
 
 // Get variables from Figma Variables API
-async function handleGetVariables() {
+async function handleGetVariables(hiddenVariables, selection) {
   try {
     figma.ui.postMessage({
       type: 'loading',
       message: 'Loading variables...'
     });
 
-    // Get all local variables
+    // Get all local variables and the collections that define their modes
     const variables = await figma.variables.getLocalVariablesAsync();
+    const collections = await figma.variables.getLocalVariableCollectionsAsync();
+    const textStyles = await figma.getLocalTextStylesAsync();
+    const effectStyles = await figma.getLocalEffectStylesAsync();
+    const paintStyles = await figma.getLocalPaintStylesAsync();
     
     // Transform to our token format
-    const tokens = transformVariablesToTokens(variables);
+    const tokens = transformVariablesToTokens(variables, collections, { hiddenVariables, selection, textStyles, effectStyles, paintStyles });
     
     figma.ui.postMessage({
       type: 'variables-loaded',
       data: {
-        count: variables.length,
+        count: countTokens(tokens),
+        collections: countTokensByCollection(tokens, collections),
         tokens: tokens
       }
     });
@@ -68,7 +98,7 @@ async function handleGetVariables() {
 }
 
 // Export variables to GitHub
-async function handleExportToGitHub(githubToken, repoOwner, repoName) {
+async function handleExportToGitHub(githubToken, repoOwner, repoName, format, hiddenVariables, selection) {
   try {
     figma.ui.postMessage({
       type: 'loading',
@@ -77,15 +107,24 @@ async function handleExportToGitHub(githubToken, repoOwner, repoName) {
 
     // Get variables
     const variables = await figma.variables.getLocalVariablesAsync();
-    const tokens = transformVariablesToTokens(variables);
+    const collections = await figma.variables.getLocalVariableCollectionsAsync();
+    const textStyles = await figma.getLocalTextStylesAsync();
+    const effectStyles = await figma.getLocalEffectStylesAsync();
+    const paintStyles = await figma.getLocalPaintStylesAsync();
+    const tokens = transformVariablesToTokens(variables, collections, { hiddenVariables, selection, textStyles, effectStyles, paintStyles });
     
     // Commit to GitHub
-    await commitToGitHub(githubToken, repoOwner, repoName, tokens);
+    const metadata = {
+      collections: describeCollections(collections),
+      selection: describeSelection(collections, selection),
+      colorSpace: documentColorSpace()
+    };
+    await commitToGitHub(githubToken, repoOwner, repoName, tokens, metadata, format);
     
     figma.ui.postMessage({
       type: 'export-success',
       data: {
-        count: variables.length
+        count: countTokens(tokens)
       }
     });
     
@@ -98,48 +137,423 @@ async function handleExportToGitHub(githubToken, repoOwner, repoName) {
 }
 
 // Transform Figma variables to our token format
-function transformVariablesToTokens(variables) {
+// `value` holds the collection's default mode; collections with more than one
+// mode (light/dark, brands) also get every mode under `modes`, keyed by mode slug
+// Variables hidden from publishing are skipped (aliases to them get their value),
+// or exported with `private: true` when options.hiddenVariables is "private"
+// options.selection ({ collectionId: [modeId] }) limits the export to those
+// collections and modes; variables outside it are treated like skipped ones
+// options.textStyles (local text styles) become composite typography tokens,
+// options.effectStyles (local effect styles) shadow tokens and
+// options.paintStyles (local paint styles) gradient tokens when they hold a gradient
+function transformVariablesToTokens(variables, collections, options = {}) {
+  const exportHiddenAsPrivate = options.hiddenVariables === 'private';
+  const selection = options.selection || null;
   const tokens = {
     color: {},
     typography: {},
     spacing: {},
     borderRadius: {},
     shadow: {},
-    opacity: {}
+    opacity: {},
+    gradient: {},
+    boolean: {},
+    string: {}
   };
 
-  variables.forEach(variable => {
-    const name = sanitizeVariableName(variable.name);
-    const category = determineTokenCategory(variable.name, variable.resolvedType);
+  const collectionsById = {};
+  (collections || []).forEach(collection => {
+    collectionsById[collection.id] = collection;
+  });
+
+  const skippedVariables = {};
+  const exportedVariables = variables.filter(variable => {
+    const deselected = selection && !(selection[variable.variableCollectionId] || []).length;
+    if ((variable.hiddenFromPublishing && !exportHiddenAsPrivate) || deselected) {
+      skippedVariables[variable.id] = variable;
+      return false;
+    }
+    return true;
+  });
+
+  // Token path of every variable, so aliases can point at their target by name
+  const variablePaths = {};
+  exportedVariables.forEach(variable => {
+    variablePaths[variable.id] = {
+      category: determineTokenCategory(variable.name, variable.resolvedType, variable.scopes),
+      name: sanitizeVariableName(variable.name)
+    };
+  });
+
+  // Styles share their category's namespace with variables
+  const styleTokens = [];
+  (options.textStyles || []).forEach(style => {
+    styleTokens.push({ style, category: 'typography', resolvedType: 'TEXT_STYLE', value: textStyleToTypography(style) });
+  });
+  (options.effectStyles || []).forEach(style => {
+    const value = effectStyleToShadow(style);
+    if (value) {
+      styleTokens.push({ style, category: 'shadow', resolvedType: 'EFFECT_STYLE', value });
+    }
+  });
+  (options.paintStyles || []).forEach(style => {
+    const value = paintStyleToGradient(style);
+    if (value) {
+      styleTokens.push({ style, category: 'gradient', resolvedType: 'PAINT_STYLE', value });
+    }
+  });
+
+  const stylePaths = {};
+  styleTokens.forEach(({ style, category }) => {
+    stylePaths[style.id] = { category, name: sanitizeVariableName(style.name) };
+  });
+
+  assertNoNameCollisions(
+    exportedVariables.concat(styleTokens.map(({ style }) => style)),
+    Object.assign({}, variablePaths, stylePaths)
+  );
+
+  exportedVariables.forEach(variable => {
+    const { category, name } = variablePaths[variable.id];
+    const collection = collectionsById[variable.variableCollectionId];
+    const defaultModeId = collection ? collection.defaultModeId : Object.keys(variable.valuesByMode)[0];
+    const selectedModeIds = selection ? selection[variable.variableCollectionId] : null;
     
-    // Process each mode
+    // Process each selected mode
+    const modes = {};
     Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
-      const transformedValue = transformVariableValue(variable.resolvedType, value);
+      if (selectedModeIds && !selectedModeIds.includes(modeId)) return;
+
+      const resolvedValue = inlineSkippedAliases(value, modeId, skippedVariables, collectionsById);
+      const transformedValue = transformVariableValue(variable.resolvedType, resolvedValue, variablePaths);
       
       if (transformedValue !== null) {
-        tokens[category][name] = {
-          value: transformedValue,
-          type: category,
-          variableId: variable.key,
-          originalName: variable.name,
-          resolvedType: variable.resolvedType
-        };
+        modes[modeId] = transformedValue;
       }
     });
+
+    const defaultValue = defaultModeId in modes ? modes[defaultModeId] : Object.values(modes)[0];
+    if (defaultValue === undefined) return;
+
+    const token = {
+      value: defaultValue,
+      type: category,
+      variableId: variable.key,
+      originalName: variable.name,
+      resolvedType: variable.resolvedType
+    };
+
+    if (variable.hiddenFromPublishing) {
+      token.private = true;
+    }
+
+    // Only narrowed scopes are kept; ALL_SCOPES is the default
+    if (variable.scopes && variable.scopes.length > 0 && !variable.scopes.includes('ALL_SCOPES')) {
+      token.scopes = variable.scopes.slice();
+    }
+
+    // Shown as doc comments in generated code; "@deprecated" marks the token as deprecated
+    if (variable.description && variable.description.trim()) {
+      token.description = variable.description.trim();
+    }
+
+    if (collection) {
+      token.collection = collection.name;
+
+      const exportedModes = collection.modes.filter(mode => !selectedModeIds || selectedModeIds.includes(mode.modeId));
+      if (exportedModes.length > 1) {
+        token.modes = {};
+        exportedModes.forEach(mode => {
+          if (mode.modeId in modes) {
+            token.modes[sanitizeModeName(mode.name)] = modes[mode.modeId];
+          }
+        });
+      }
+    }
+
+    tokens[category][name] = token;
+  });
+
+  styleTokens.forEach(({ style, category, resolvedType, value }) => {
+    const token = {
+      value: value,
+      type: category,
+      variableId: style.key,
+      originalName: style.name,
+      resolvedType: resolvedType
+    };
+
+    if (style.description && style.description.trim()) {
+      token.description = style.description.trim();
+    }
+
+    tokens[category][stylePaths[style.id].name] = token;
   });
 
+  assertNoAliasCycles(tokens);
+
   return tokens;
 }
 
+// Composite typography value of a text style
+// Line height and letter spacing are stored in points; percentages are resolved against the font size
+function textStyleToTypography(style) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const textCases = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+  const textDecorations = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+  const { fontName, fontSize, lineHeight, letterSpacing } = style;
+
+  const value = {
+    fontFamily: fontName.family,
+    fontWeight: fontStyleToWeight(fontName.style),
+    fontSize: fontSize
+  };
+
+  if (lineHeight.unit === 'PIXELS') {
+    value.lineHeight = round(lineHeight.value);
+  } else if (lineHeight.unit === 'PERCENT') {
+    value.lineHeight = round(fontSize * lineHeight.value / 100);
+  }
+
+  const tracking = letterSpacing.unit === 'PERCENT' ? fontSize * letterSpacing.value / 100 : letterSpacing.value;
+  if (tracking) {
+    value.letterSpacing = round(tracking);
+  }
+
+  if (textCases[style.textCase]) value.textCase = textCases[style.textCase];
+  if (textDecorations[style.textDecoration]) value.textDecoration = textDecorations[style.textDecoration];
+
+  return value;
+}
+
+// Shadow layers of an effect style in Figma's order; blurs and hidden effects are left out
+// One layer is written as an object, several as an array, or null without any shadow
+function effectStyleToShadow(style) {
+  const round = (n) => Math.round(n * 100) / 100;
+
+  const layers = style.effects
+    .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'))
+    .map(effect => {
+      const layer = {
+        offset: { x: round(effect.offset.x), y: round(effect.offset.y) },
+        blur: round(effect.radius),
+        spread: round(effect.spread || 0),
+        color: colorToHex({ r: effect.color.r, g: effect.color.g, b: effect.color.b }),
+        opacity: round(effect.color.a)
+      };
+
+      if (effect.type === 'INNER_SHADOW') {
+        layer.inset = true;
+      }
+
+      return layer;
+    });
+
+  if (layers.length === 0) return null;
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+// Gradient of a paint style's first visible gradient paint, or null for solid and image paints
+// Linear gradients keep their angle (0 points up, 90 right, like CSS); radial gradients their
+// center and radii as fractions of the layer size
+function paintStyleToGradient(style) {
+  const round = (n, digits = 2) => Math.round(n * Math.pow(10, digits)) / Math.pow(10, digits);
+  const paint = style.paints.find(candidate => candidate.visible !== false &&
+    (candidate.type === 'GRADIENT_LINEAR' || candidate.type === 'GRADIENT_RADIAL'));
+  if (!paint) return null;
+
+  // gradientTransform maps the layer onto gradient space; its inverse gives the handle positions
+  const [[a, b, c], [d, e, f]] = paint.gradientTransform;
+  const det = a * e - b * d;
+  const toLayer = (x, y) => ({
+    x: (e * (x - c) - b * (y - f)) / det,
+    y: (a * (y - f) - d * (x - c)) / det
+  });
+
+  const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+  const stops = paint.gradientStops.map(stop => ({
+    position: round(stop.position, 3),
+    color: colorToHex({ r: stop.color.r, g: stop.color.g, b: stop.color.b }),
+    opacity: round(stop.color.a * opacity)
+  }));
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    const start = toLayer(0, 0.5);
+    const end = toLayer(1, 0.5);
+    const angle = Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI;
+    return { type: 'linear', angle: round((angle + 360) % 360), stops };
+  }
+
+  const center = toLayer(0.5, 0.5);
+  const edge = toLayer(1, 0.5);
+  const coEdge = toLayer(0.5, 1);
+  return {
+    type: 'radial',
+    center: { x: round(center.x, 3), y: round(center.y, 3) },
+    radius: {
+      x: round(Math.hypot(edge.x - center.x, edge.y - center.y), 3),
+      y: round(Math.hypot(coEdge.x - center.x, coEdge.y - center.y), 3)
+    },
+    stops
+  };
+}
+
+// Weight keyword of a font style name: "Semi Bold Italic" -> "semibold"
+function fontStyleToWeight(fontStyle) {
+  const styleName = String(fontStyle || '').toLowerCase().replace(/[^a-z]/g, '');
+  const weights = [
+    [/extralight|ultralight/, 'extralight'],
+    [/semibold|demibold/, 'semibold'],
+    [/extrabold|ultrabold/, 'extrabold'],
+    [/thin|hairline/, 'thin'],
+    [/light/, 'light'],
+    [/medium/, 'medium'],
+    [/black/, 'black'],
+    [/heavy/, 'heavy'],
+    [/bold/, 'bold']
+  ];
+
+  const match = weights.find(([pattern]) => pattern.test(styleName));
+  return match ? match[1] : 'regular';
+}
+
+// Follow aliases into skipped variables until a value or an exported variable is reached
+// Skipped variables in another collection resolve through that collection's default mode
+function inlineSkippedAliases(value, modeId, skippedVariables, collectionsById) {
+  const visited = [];
+  let current = value;
+
+  while (current && current.type === 'VARIABLE_ALIAS' && skippedVariables[current.id] && !visited.includes(current.id)) {
+    visited.push(current.id);
+
+    const target = skippedVariables[current.id];
+    const collection = collectionsById[target.variableCollectionId];
+    const targetModeId = modeId in target.valuesByMode
+      ? modeId
+      : (collection ? collection.defaultModeId : Object.keys(target.valuesByMode)[0]);
+    current = target.valuesByMode[targetModeId];
+  }
+
+  return current;
+}
+
+// Fail the export when two variables map to the same token, naming every Figma variable involved
+function assertNoNameCollisions(variables, variablePaths) {
+  const namesByPath = {};
+  variables.forEach(variable => {
+    const { category, name } = variablePaths[variable.id];
+    const path = `${category}.${name}`;
+    (namesByPath[path] = namesByPath[path] || []).push(`"${variable.name}"`);
+  });
+
+  const collisions = Object.keys(namesByPath)
+    .filter(path => namesByPath[path].length > 1)
+    .map(path => `${path}: ${namesByPath[path].join(', ')}`);
+
+  if (collisions.length > 0) {
+    throw new Error(`Variable names collide, rename one of each group: ${collisions.join('; ')}`);
+  }
+}
+
+// Follow every alias chain and fail the export on a cycle, naming the chain
+function assertNoAliasCycles(tokens) {
+  const lookup = (reference) => {
+    const match = reference.match(/^\{([^.{}]+)\.([^.{}]+)\}$/);
+    return match && tokens[match[1]] ? tokens[match[1]][match[2]] : null;
+  };
+
+  Object.values(tokens).forEach(group => {
+    Object.values(group).forEach(token => {
+      const values = [token.value].concat(Object.values(token.modes || {}));
+
+      values.forEach(value => {
+        const chain = [];
+        let current = value;
+
+        while (isTokenReference(current)) {
+          if (chain.includes(current)) {
+            throw new Error(`Circular alias: ${chain.concat(current).join(' → ')}`);
+          }
+          chain.push(current);
+
+          const target = lookup(current);
+          current = target ? target.value : null;
+        }
+      });
+    });
+  });
+}
+
+function isTokenReference(value) {
+  return typeof value === 'string' && /^\{[^.{}]+\.[^.{}]+\}$/.test(value);
+}
+
+// Describe collections and their modes for the token file metadata
+function describeCollections(collections) {
+  const description = {};
+
+  (collections || []).forEach(collection => {
+    const defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId);
+
+    description[collection.name] = {
+      modes: collection.modes.map(mode => sanitizeModeName(mode.name)),
+      defaultMode: defaultMode ? sanitizeModeName(defaultMode.name) : null
+    };
+  });
+
+  return description;
+}
+
+// Record the exported collections and modes by their Figma names, so the export can be repeated
+// Without a selection everything was exported
+function describeSelection(collections, selection) {
+  const description = {};
+
+  (collections || []).forEach(collection => {
+    const modeIds = selection ? selection[collection.id] || [] : collection.modes.map(mode => mode.modeId);
+    if (modeIds.length === 0) return;
+
+    description[collection.name] = collection.modes
+      .filter(mode => modeIds.includes(mode.modeId))
+      .map(mode => mode.name);
+  });
+
+  return description;
+}
+
+function countTokens(tokens) {
+  return Object.values(tokens).reduce((count, group) => count + Object.keys(group).length, 0);
+}
+
+// Exported tokens per collection for the preview: [{ name, count }]
+function countTokensByCollection(tokens, collections) {
+  const counts = {};
+  Object.values(tokens).forEach(group => {
+    Object.values(group).forEach(token => {
+      if (token.collection) {
+        counts[token.collection] = (counts[token.collection] || 0) + 1;
+      }
+    });
+  });
+
+  return (collections || [])
+    .filter(collection => collection.name in counts)
+    .map(collection => ({ name: collection.name, count: counts[collection.name] }));
+}
+
 // Determine token category based on variable name and type
-function determineTokenCategory(name, type) {
+function determineTokenCategory(name, type, scopes) {
   const lowerName = name.toLowerCase();
+  // Scopes set in Figma say what a number is for; names are the fallback
+  const scopedCategory = categoryFromScopes(scopes);
   
   switch (type) {
     case 'COLOR':
       return 'color';
     case 'FLOAT':
-      if (lowerName.includes('spacing') || lowerName.includes('padding') || lowerName.includes('margin')) {
+      if (scopedCategory) {
+        return scopedCategory;
+      } else if (lowerName.includes('spacing') || lowerName.includes('padding') || lowerName.includes('margin')) {
         return 'spacing';
       } else if (lowerName.includes('radius') || lowerName.includes('corner')) {
         return 'borderRadius';
@@ -147,18 +561,46 @@ function determineTokenCategory(name, type) {
         return 'opacity';
       }
       return 'spacing'; // Default for FLOAT
+    case 'BOOLEAN':
+      return 'boolean';
     case 'STRING':
-      if (lowerName.includes('font') || lowerName.includes('typography') || lowerName.includes('text')) {
-        return 'typography';
-      }
-      return 'typography'; // Default for STRING
+      return 'string';
     default:
       return 'spacing';
   }
 }
 
+// Token category of each FLOAT variable scope. Every typography number is generated as a
+// font size, so only FONT_SIZE maps there; line heights, letter spacing and weights are
+// categorized by name instead
+const SCOPE_CATEGORIES = {
+  GAP: 'spacing',
+  WIDTH_HEIGHT: 'spacing',
+  CORNER_RADIUS: 'borderRadius',
+  OPACITY: 'opacity',
+  FONT_SIZE: 'typography'
+};
+
+// Token category every scope of a FLOAT variable agrees on, or null
+function categoryFromScopes(scopes) {
+  if (!scopes || scopes.length === 0 || scopes.includes('ALL_SCOPES')) return null;
+
+  const categories = scopes.map(scope => SCOPE_CATEGORIES[scope]);
+  return categories.every(category => category && category === categories[0]) ? categories[0] : null;
+}
+
 // Transform variable value based on type
-function transformVariableValue(type, value) {
+// Aliases become references like `{color.primary800}` to the target token
+function transformVariableValue(type, value, variablePaths) {
+  if (value && value.type === 'VARIABLE_ALIAS') {
+    const target = variablePaths && variablePaths[value.id];
+    if (!target) {
+      console.warn('Alias to a variable outside this file skipped:', value.id);
+      return null;
+    }
+    return `{${target.category}.${target.name}}`;
+  }
+
   switch (type) {
     case 'COLOR':
       return colorToHex(value);
@@ -173,55 +615,201 @@ function transformVariableValue(type, value) {
   }
 }
 
+// Color space the document's color values are in, from File > Color profile
+// Legacy documents are unmanaged and treated as sRGB
+function documentColorSpace() {
+  return figma.root.documentColorProfile === 'DISPLAY_P3' ? 'display-p3' : 'srgb';
+}
+
 // Convert Figma color to hex
 function colorToHex(color) {
   if (!color || typeof color !== 'object') return null;
   
   const { r, g, b, a = 1 } = color;
   const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
-  
-  if (a < 1) {
-    return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
-  }
-  
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+
+  // Translucent colors keep their alpha as a fourth hex byte: #rrggbbaa
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}${a < 1 ? toHex(a) : ''}`;
 }
 
-// Sanitize variable name for Swift
+// camelCase token name for Swift: "Color/Primary 800" -> "primary800", "button-background" -> "buttonBackground"
+// Leading category words are dropped; keep in sync with toTokenName in scripts/token-names.js
 function sanitizeVariableName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '')
-    .replace(/^color/, '')
-    .replace(/^spacing/, '')
-    .replace(/^typography/, '')
-    .replace(/^borderradius/, '');
+  let words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  const prefixes = [['color'], ['spacing'], ['typography'], ['border', 'radius'], ['borderradius']];
+  const prefix = prefixes.find(prefixWords => prefixWords.every((word, index) => words[index] === word));
+  if (prefix && words.length > prefix.length) {
+    words = words.slice(prefix.length);
+  }
+
+  return words
+    .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+// Mode names become keys in `modes`, e.g. "Dark Mode" -> "dark-mode"
+function sanitizeModeName(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// DTCG $type of a token, or undefined for categories DTCG has no type for
+function dtcgType(category, token) {
+  switch (category) {
+    case 'color':
+      return 'color';
+    case 'spacing':
+    case 'borderRadius':
+      return 'dimension';
+    case 'opacity':
+      return 'number';
+    case 'shadow':
+      return 'shadow';
+    case 'typography':
+      if (token.value && typeof token.value === 'object') return 'typography';
+      if (typeof token.value === 'number') return 'dimension';
+      return /weight/i.test(token.originalName || '') ? 'fontWeight' : 'fontFamily';
+    default:
+      return undefined;
+  }
+}
+
+// Hex color with `opacity` multiplied into its alpha: "#rrggbb" or "#rrggbbaa" -> "#rrggbbaa"
+function hexWithOpacity(color, opacity) {
+  const match = typeof color === 'string' && color.match(/^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match || opacity >= 1) return color;
+
+  const hex = match[1].length === 3 ? match[1].split('').map(digit => digit + digit).join('') : match[1];
+  const alpha = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  return `#${hex.slice(0, 6)}${Math.round(alpha * opacity * 255).toString(16).padStart(2, '0')}`;
+}
+
+function toDTCGValue(type, value) {
+  if (isTokenReference(value)) return value;
+
+  if (type === 'dimension') {
+    return typeof value === 'number' ? `${value}px` : value;
+  }
+
+  if (type === 'shadow') {
+    if (Array.isArray(value)) return value.map(layer => toDTCGValue('shadow', layer));
+    if (!value || typeof value !== 'object') return value;
+
+    // DTCG shadows have no separate opacity, so it becomes part of the color's alpha
+    const shadow = {
+      color: hexWithOpacity(value.color, value.opacity === undefined ? 1 : value.opacity),
+      offsetX: `${value.offset.x}px`,
+      offsetY: `${value.offset.y}px`,
+      blur: `${value.blur}px`,
+      spread: `${value.spread || 0}px`
+    };
+    if (value.inset) shadow.inset = true;
+    return shadow;
+  }
+
+  if (type === 'typography') {
+    return Object.assign({}, value, {
+      fontSize: toDTCGValue('dimension', value.fontSize),
+      lineHeight: toDTCGValue('dimension', value.lineHeight),
+      letterSpacing: toDTCGValue('dimension', value.letterSpacing)
+    });
+  }
+
+  return value;
+}
+
+// Convert tokens to W3C Design Tokens (DTCG) groups, one group per category
+// Every other field (private, scopes, collection, ...) is kept under $extensions["com.figma"]
+function toDTCGTokens(tokens) {
+  const output = {};
+
+  Object.entries(tokens).forEach(([category, group]) => {
+    if (category.startsWith('$')) {
+      output[category] = group;
+      return;
+    }
+
+    output[category] = {};
+    Object.entries(group).forEach(([name, token]) => {
+      const type = dtcgType(category, token);
+      const dtcgToken = {};
+
+      if (type) dtcgToken.$type = type;
+      dtcgToken.$value = toDTCGValue(type, token.value);
+      if (token.description) dtcgToken.$description = token.description;
+
+      const extension = {};
+      Object.entries(token).forEach(([key, value]) => {
+        if (['value', 'type', 'description'].includes(key)) return;
+        if (key === 'modes') {
+          extension.modes = {};
+          Object.entries(value).forEach(([mode, modeValue]) => {
+            extension.modes[mode] = toDTCGValue(type, modeValue);
+          });
+        } else {
+          extension[key] = value;
+        }
+      });
+      if (Object.keys(extension).length > 0) {
+        dtcgToken.$extensions = { 'com.figma': extension };
+      }
+
+      output[category][name] = dtcgToken;
+    });
+  });
+
+  return output;
+}
+
+// UTF-8 bytes of a string (TextEncoder might not be available either)
+function utf8Encode(str) {
+  const bytes = [];
+
+  for (const char of str) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    }
+  }
+
+  return bytes;
 }
 
 // Simple base64 encoding function (since btoa might not be available)
+// Encodes the UTF-8 bytes, so descriptions and string tokens outside Latin-1 survive
 function base64Encode(str) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const bytes = utf8Encode(str);
   let result = '';
-  let i = 0;
   
-  while (i < str.length) {
-    const a = str.charCodeAt(i++);
-    const b = i < str.length ? str.charCodeAt(i++) : 0;
-    const c = i < str.length ? str.charCodeAt(i++) : 0;
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes[i];
+    const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
     
     const bitmap = (a << 16) | (b << 8) | c;
     
     result += chars.charAt((bitmap >> 18) & 63);
     result += chars.charAt((bitmap >> 12) & 63);
-    result += i - 2 < str.length ? chars.charAt((bitmap >> 6) & 63) : '=';
-    result += i - 1 < str.length ? chars.charAt(bitmap & 63) : '=';
+    result += i + 1 < bytes.length ? chars.charAt((bitmap >> 6) & 63) : '=';
+    result += i + 2 < bytes.length ? chars.charAt(bitmap & 63) : '=';
   }
   
   return result;
 }
 
 // Commit tokens to GitHub
-async function commitToGitHub(githubToken, repoOwner, repoName, tokens) {
+async function commitToGitHub(githubToken, repoOwner, repoName, tokens, metadata, format) {
   console.log('Starting GitHub commit process...');
   
   const url = `https://api.github.com/repos/${repoOwner}/${repoName}/contents/tokens/figma-tokens.json`;
@@ -255,9 +843,13 @@ async function commitToGitHub(githubToken, repoOwner, repoName, tokens) {
       generatedAt: new Date().toISOString(),
       source: 'figma-plugin',
       method: 'variables-api',
-      note: 'Generated from Figma Variables API via plugin'
+      note: 'Generated from Figma Variables API via plugin',
+      format: format === 'dtcg' ? 'dtcg' : 'legacy',
+      collections: metadata.collections || {},
+      selection: metadata.selection || {},
+      colorSpace: metadata.colorSpace || 'srgb'
     }
-  }, tokens), null, 2);
+  }, format === 'dtcg' ? toDTCGTokens(tokens) : tokens), null, 2);
 
   // Encode content to base64
   const encodedContent = base64Encode(content);
@@ -303,3 +895,17 @@ async function commitToGitHub(githubToken, repoOwner, repoName, tokens) {
   const result = await response.json();
   console.log('Successfully committed to GitHub:', result.commit.html_url);
 }
+
+// The sync scripts share these instead of keeping copies; the Figma sandbox has no `module`
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    transformVariablesToTokens,
+    describeCollections,
+    describeSelection,
+    countTokensByCollection,
+    categoryFromScopes,
+    dtcgType,
+    toDTCGTokens,
+    base64Encode
+  };
+}
@@ -0,0 +1,57 @@
+//
+//  tokens.d.ts
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: a6a192a4968d
+//
+
+export declare const tokens: {
+  readonly color: {
+    readonly primary600: "#212121";
+    readonly primary800: "#000000";
+    readonly secondary400: "#c2c2c2";
+    readonly ssbackground: "#f7f7f2";
+    readonly ssforeground: "#ffffff";
+  };
+  readonly typography: {};
+  readonly spacing: {
+    readonly averagelineheight: 0;
+    readonly fontsizecapcaption: 0;
+    readonly fontsizem: 0;
+    readonly fontsizexl: 0;
+    readonly fontsizexs: 0;
+    readonly l: 14;
+    readonly largelineheight: 0;
+    readonly m: 11;
+    readonly s: 7;
+    readonly xl: 21;
+  };
+  readonly borderRadius: {
+    readonly cornerradius1: 23;
+    readonly cornerradius2: 12;
+  };
+  readonly shadow: {};
+  readonly opacity: {};
+  readonly string: {
+    readonly weightbold: "String value";
+    readonly weightsemibold: "String value";
+  };
+};
+
+/** Values that change per Figma mode */
+export declare const modes: {};
+
+export type Tokens = typeof tokens;
+export type TokenCategory = keyof Tokens;
+export type ColorToken = keyof Tokens['color'];
+export type TypographyToken = keyof Tokens['typography'];
+export type SpacingToken = keyof Tokens['spacing'];
+export type BorderRadiusToken = keyof Tokens['borderRadius'];
+export type ShadowToken = keyof Tokens['shadow'];
+export type OpacityToken = keyof Tokens['opacity'];
+export type StringToken = keyof Tokens['string'];
+export type TokenMode = keyof typeof modes;
+
+export default tokens;
@@ -0,0 +1,46 @@
+//
+//  tokens.js
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 446716c93551
+//
+
+export const tokens = Object.freeze({
+  color: {
+    primary600: '#212121',
+    primary800: '#000000',
+    secondary400: '#c2c2c2',
+    ssbackground: '#f7f7f2',
+    ssforeground: '#ffffff'
+  },
+  typography: {},
+  spacing: {
+    averagelineheight: 0,
+    fontsizecapcaption: 0,
+    fontsizem: 0,
+    fontsizexl: 0,
+    fontsizexs: 0,
+    l: 14,
+    largelineheight: 0,
+    m: 11,
+    s: 7,
+    xl: 21
+  },
+  borderRadius: {
+    cornerradius1: 23,
+    cornerradius2: 12
+  },
+  shadow: {},
+  opacity: {},
+  string: {
+    weightbold: 'String value',
+    weightsemibold: 'String value'
+  }
+});
+
+/** Values that change per Figma mode */
+export const modes = Object.freeze({});
+
+export default tokens;
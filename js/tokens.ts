@@ -0,0 +1,57 @@
+//
+//  tokens.ts
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 93191b44f44f
+//
+
+export const tokens = {
+  color: {
+    primary600: '#212121',
+    primary800: '#000000',
+    secondary400: '#c2c2c2',
+    ssbackground: '#f7f7f2',
+    ssforeground: '#ffffff'
+  },
+  typography: {},
+  spacing: {
+    averagelineheight: 0,
+    fontsizecapcaption: 0,
+    fontsizem: 0,
+    fontsizexl: 0,
+    fontsizexs: 0,
+    l: 14,
+    largelineheight: 0,
+    m: 11,
+    s: 7,
+    xl: 21
+  },
+  borderRadius: {
+    cornerradius1: 23,
+    cornerradius2: 12
+  },
+  shadow: {},
+  opacity: {},
+  string: {
+    weightbold: 'String value',
+    weightsemibold: 'String value'
+  }
+} as const;
+
+/** Values that change per Figma mode */
+export const modes = {} as const;
+
+export type Tokens = typeof tokens;
+export type TokenCategory = keyof Tokens;
+export type ColorToken = keyof Tokens['color'];
+export type TypographyToken = keyof Tokens['typography'];
+export type SpacingToken = keyof Tokens['spacing'];
+export type BorderRadiusToken = keyof Tokens['borderRadius'];
+export type ShadowToken = keyof Tokens['shadow'];
+export type OpacityToken = keyof Tokens['opacity'];
+export type StringToken = keyof Tokens['string'];
+export type TokenMode = keyof typeof modes;
+
+export default tokens;
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Contrast Audit
+ *
+ * Checks the WCAG 2.x contrast ratio of foreground/background color pairs
+ * in every Figma mode, so an inaccessible color change fails CI before it
+ * reaches the generated code.
+ *
+ * Pairs come from the naming convention (`buttonForeground` is checked
+ * against `buttonBackground`, `foregroundMuted` against `backgroundMuted`)
+ * and from a pairing file, tokens/contrast-pairs.json by default:
+ *
+ *   { "pairs": [{ "foreground": "textPrimary", "background": "surface", "level": "AA", "required": true }] }
+ *
+ * `level` is the minimum the pair must reach (AA, AA-large, AAA or
+ * AAA-large; default AA). Pairs with `"required": false` are reported but
+ * never fail the audit.
+ *
+ * Usage: node contrast-audit.js [--pairs <file>] [--report <file.html|file.json>]
+ *
+ * Prints a pair × mode matrix and exits with status 1 when a required pair
+ * is below its level in any mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadValidatedTokens } = require('./validate-tokens');
+const { resolveReference } = require('./token-references');
+const { parseHexColor, colorSpaceOf } = require('./token-colors');
+
+const PAIRS_PATH = path.join(__dirname, '../tokens/contrast-pairs.json');
+const REPO_ROOT = path.join(__dirname, '..');
+
+// Minimum contrast ratio of each WCAG level
+const LEVELS = {
+    'AA': 4.5,
+    'AA-large': 3,
+    'AAA': 7,
+    'AAA-large': 4.5
+};
+
+// Weight of each linear channel in relative luminance, per color space
+const LUMINANCE_WEIGHTS = {
+    'srgb': [0.2126, 0.7152, 0.0722],
+    'display-p3': [0.2290, 0.6917, 0.0793]
+};
+
+/**
+ * Relative luminance of 0-255 channels. sRGB and Display P3 share the
+ * transfer curve and differ only in their primaries.
+ */
+function relativeLuminance({ r, g, b }, colorSpace = 'srgb') {
+    const linear = (channel) => {
+        const value = channel / 255;
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+
+    const [wr, wg, wb] = LUMINANCE_WEIGHTS[colorSpace] || LUMINANCE_WEIGHTS.srgb;
+    return wr * linear(r) + wg * linear(g) + wb * linear(b);
+}
+
+// `top` drawn over the opaque color `bottom`
+function composite(top, bottom) {
+    const mix = (channel) => top[channel] * top.a + bottom[channel] * (1 - top.a);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * WCAG contrast ratio of two hex colors, from 1 to 21. Translucent
+ * backgrounds are drawn over white and translucent foregrounds over the
+ * background, as they would be on screen.
+ */
+function contrastRatio(foreground, background, colorSpace = 'srgb') {
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    const back = composite(parseHexColor(background), white);
+    const front = composite(parseHexColor(foreground), back);
+
+    const [lighter, darker] = [relativeLuminance(front, colorSpace), relativeLuminance(back, colorSpace)].sort((x, y) => y - x);
+    return Math.round((lighter + 0.05) / (darker + 0.05) * 100) / 100;
+}
+
+// Pairs from the naming convention: every "foreground" color with a matching "background" color
+function conventionPairs(tokens) {
+    const colors = tokens.color || {};
+
+    return Object.keys(colors)
+        .filter(name => /foreground/i.test(name))
+        .map(name => ({
+            foreground: name,
+            background: name.replace(/([Ff])oreground/, (match, initial) => `${initial === 'F' ? 'B' : 'b'}ackground`)
+        }))
+        .filter(({ background }) => colors[background]);
+}
+
+/**
+ * Every pair to audit: the pairing file's pairs, then convention pairs the
+ * file doesn't already list. Throws when the file names an unknown token
+ * or level.
+ */
+function findPairs(tokens, pairsFile) {
+    const colors = tokens.color || {};
+    const listed = pairsFile ? (pairsFile.pairs || []) : [];
+
+    const pairs = listed.map((pair, index) => {
+        ['foreground', 'background'].forEach(role => {
+            if (!colors[pair[role]]) {
+                throw new Error(`pairs[${index}].${role}: no color token named "${pair[role]}"`);
+            }
+        });
+
+        const level = pair.level || 'AA';
+        if (!LEVELS[level]) {
+            throw new Error(`pairs[${index}].level: expected one of ${Object.keys(LEVELS).join(', ')}, got "${level}"`);
+        }
+
+        return { foreground: pair.foreground, background: pair.background, level, required: pair.required !== false };
+    });
+
+    conventionPairs(tokens).forEach(({ foreground, background }) => {
+        if (!pairs.some(pair => pair.foreground === foreground && pair.background === background)) {
+            pairs.push({ foreground, background, level: 'AA', required: true });
+        }
+    });
+
+    return pairs;
+}
+
+// Every mode name used by a color token, or [null] when colors have no modes
+function colorModes(tokens) {
+    const modes = [];
+    Object.values(tokens.color || {}).forEach(token => {
+        Object.keys(token.modes || {}).forEach(mode => {
+            if (!modes.includes(mode)) modes.push(mode);
+        });
+    });
+
+    return modes.length > 0 ? modes : [null];
+}
+
+function colorInMode(tokens, name, mode) {
+    const token = tokens.color[name];
+    const value = mode && token.modes && mode in token.modes ? token.modes[mode] : token.value;
+    return resolveReference(tokens, value, mode || undefined);
+}
+
+/**
+ * Contrast of every pair in every mode. Returns
+ * {
+ *   colorSpace, modes,
+ *   pairs: [{ foreground, background, level, required, results: [{ mode, foregroundColor, backgroundColor, ratio, pass }] }],
+ *   failures: number of required pairs below their level in some mode
+ * }
+ */
+function auditContrast(tokens, pairs) {
+    const colorSpace = colorSpaceOf(tokens);
+    const modes = colorModes(tokens);
+
+    const audited = pairs.map(pair => {
+        const results = modes.map(mode => {
+            const foregroundColor = colorInMode(tokens, pair.foreground, mode);
+            const backgroundColor = colorInMode(tokens, pair.background, mode);
+            const ratio = contrastRatio(foregroundColor, backgroundColor, colorSpace);
+            return { mode, foregroundColor, backgroundColor, ratio, pass: ratio >= LEVELS[pair.level] };
+        });
+
+        return Object.assign({}, pair, { results });
+    });
+
+    return {
+        colorSpace,
+        modes,
+        pairs: audited,
+        failures: audited.filter(pair => pair.required && pair.results.some(result => !result.pass)).length
+    };
+}
+
+function pairLabel({ foreground, background }) {
+    return `${foreground} / ${background}`;
+}
+
+function resultLabel({ ratio, pass }) {
+    return `${ratio.toFixed(2)} ${pass ? '✓' : '✗'}`;
+}
+
+// Pair × mode table for the console
+function toMatrix(audit) {
+    const header = ['Pair', 'Level', ...audit.modes.map(mode => mode || 'default')];
+    const rows = audit.pairs.map(pair => [
+        pairLabel(pair),
+        pair.required ? pair.level : `${pair.level} (optional)`,
+        ...pair.results.map(resultLabel)
+    ]);
+
+    const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map(row => row[column].length)));
+    const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Standalone HTML report with a preview of every pair in every mode
+function toHTML(audit) {
+    const cell = ({ foregroundColor, backgroundColor, ratio, pass }) => `
+        <td class="${pass ? 'pass' : 'fail'}">
+          <span class="sample" style="color: ${escapeHTML(foregroundColor)}; background: ${escapeHTML(backgroundColor)}">Aa</span>
+          ${ratio.toFixed(2)} ${pass ? '✓' : '✗'}
+        </td>`;
+
+    const rows = audit.pairs.map(pair => `
+      <tr>
+        <th scope="row">${escapeHTML(pairLabel(pair))}</th>
+        <td>${escapeHTML(pair.level)}${pair.required ? '' : ' (optional)'}</td>${pair.results.map(cell).join('')}
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Color contrast audit</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 2rem; color: #111111; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d9d9d9; padding: 0.5rem 0.75rem; text-align: left; }
+    .sample { display: inline-block; padding: 0.25rem 0.5rem; margin-right: 0.5rem; border-radius: 4px; font-weight: 600; }
+    .pass { background: #effbe8; }
+    .fail { background: #fdeceb; }
+  </style>
+</head>
+<body>
+  <h1>Color contrast audit</h1>
+  <p>${audit.pairs.length} pair${audit.pairs.length === 1 ? '' : 's'}, ${audit.failures} failing. Colors are in ${escapeHTML(audit.colorSpace)}.</p>
+  <table>
+    <thead>
+      <tr>
+        <th scope="col">Pair</th>
+        <th scope="col">Level</th>${audit.modes.map(mode => `
+        <th scope="col">${escapeHTML(mode || 'default')}</th>`).join('')}
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Run the audit
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+
+    try {
+        const pairsPath = option('--pairs') ? path.resolve(option('--pairs')) : PAIRS_PATH;
+        if (option('--pairs') && !fs.existsSync(pairsPath)) {
+            throw new Error(`No pairing file at ${pairsPath}`);
+        }
+
+        const tokens = loadValidatedTokens();
+        const pairsFile = fs.existsSync(pairsPath) ? JSON.parse(fs.readFileSync(pairsPath, 'utf8')) : null;
+        const pairs = findPairs(tokens, pairsFile);
+
+        if (pairs.length === 0) {
+            console.log('ℹ️  No color pairs to audit. Name colors "…Foreground"/"…Background" or list pairs in tokens/contrast-pairs.json.');
+            process.exit(0);
+        }
+
+        const audit = auditContrast(tokens, pairs);
+        console.log(`🔍 Contrast audit of ${pairs.length} color pair${pairs.length === 1 ? '' : 's'}\n`);
+        console.log(toMatrix(audit));
+
+        const reportPath = option('--report');
+        if (reportPath) {
+            const report = path.extname(reportPath) === '.json' ? `${JSON.stringify(audit, null, 2)}\n` : toHTML(audit);
+            fs.writeFileSync(path.resolve(reportPath), report);
+            console.log(`\n✓ Report written to ${path.relative(REPO_ROOT, path.resolve(reportPath))}`);
+        }
+
+        if (audit.failures > 0) {
+            console.error(`\n❌ ${audit.failures} required pair${audit.failures === 1 ? ' is' : 's are'} below the WCAG contrast level`);
+            process.exit(1);
+        }
+
+        console.log('\n✅ Every required pair meets its WCAG contrast level');
+    } catch (error) {
+        console.error(`❌ Contrast audit failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    LEVELS,
+    contrastRatio,
+    findPairs,
+    auditContrast,
+    toMatrix,
+    toHTML
+};
@@ -4,240 +4,115 @@
  * Direct Swift Token Generator
  * 
  * Generates Swift design token files directly from Figma data
- * when Style Dictionary format doesn't work
+ * when Style Dictionary format doesn't work, along with every other
+ * registered platform target.
+ *
+ * Usage: node generate-swift.js [--target swift,uikit,kotlin,web,typescript] [--asset-catalog] [--config <file>] [--check]
+ *
+ * --check renders in memory and exits with status 1 when the files on disk
+ * are out of date, printing a diff instead of writing anything.
+ *
+ * Target options are read from tokens/token-generator.json, so every run
+ * (CI, sync-plugin, the webhook) generates the same files:
+ *
+ *   { "assetCatalog": true, "bundle": ".main" }
+ *
+ * --asset-catalog turns the catalog on for a single run.
  */
 
 const fs = require('fs');
 const path = require('path');
+const TokenGenerator = require('./token-generator');
+const SwiftTarget = require('./targets/swift');
+const UIKitTarget = require('./targets/uikit');
+const KotlinTarget = require('./targets/kotlin');
+const WebTarget = require('./targets/web');
+const TypeScriptTarget = require('./targets/typescript');
+
+const CONFIG_PATH = path.join(__dirname, '../tokens/token-generator.json');
+
+// Settings tokens/token-generator.json may contain
+const CONFIG_OPTIONS = ['assetCatalog', 'assetCatalogName', 'bundle'];
+
+// Every platform built by default, in build order
+const TARGETS = {
+    swift: options => new SwiftTarget(options),
+    uikit: options => new UIKitTarget(options),
+    kotlin: options => new KotlinTarget(options),
+    web: options => new WebTarget(options),
+    typescript: options => new TypeScriptTarget(options)
+};
+
+function createGenerator(targetNames = Object.keys(TARGETS), options = {}) {
+    const generator = new TokenGenerator();
+
+    targetNames.forEach(name => {
+        if (!TARGETS[name]) {
+            console.error(`❌ Unknown target "${name}". Available targets: ${Object.keys(TARGETS).join(', ')}`);
+            process.exit(1);
+        }
+        generator.registerTarget(TARGETS[name](options));
+    });
 
-const TOKENS_INPUT_PATH = path.join(__dirname, '../tokens/figma-tokens.json');
-const OUTPUT_DIR = path.join(__dirname, '../DesignSystem/Tokens');
+    return generator;
+}
 
-class SwiftTokenGenerator {
-    constructor() {
-        this.tokens = this.loadTokens();
-    }
+function parseTargets(argv) {
+    const index = argv.indexOf('--target');
+    if (index === -1) return undefined;
 
-    loadTokens() {
-        if (!fs.existsSync(TOKENS_INPUT_PATH)) {
-            console.error('❌ No tokens file found. Run sync-file first.');
-            process.exit(1);
-        }
+    return (argv[index + 1] || '').split(',').map(s => s.trim()).filter(Boolean);
+}
 
-        const data = fs.readFileSync(TOKENS_INPUT_PATH, 'utf8');
-        return JSON.parse(data);
-    }
+// Target options from the generator config, with command line flags on top
+function parseOptions(argv) {
+    const index = argv.indexOf('--config');
+    const configPath = index === -1 ? CONFIG_PATH : path.resolve(argv[index + 1] || '');
 
-    generateColors() {
-        const colors = this.tokens.color || {};
-        const timestamp = new Date().toISOString();
-        
-        let output = `//
-//  Colors.swift
-//  Design System
-//
-//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
-//  Generated from Figma Variables via Style Dictionary
-//  Last updated: ${timestamp}
-//
-
-import SwiftUI
-
-extension Color {
-`;
-
-        Object.entries(colors).forEach(([name, token]) => {
-            const swiftName = this.toSwiftName(name);
-            const hexValue = token.value.startsWith('#') ? token.value : `#${token.value}`;
-            output += `    static let ${swiftName} = Color(hex: "${hexValue}")\n`;
-        });
-
-        output += `}\n`;
-        return output;
+    if (index !== -1 && !fs.existsSync(configPath)) {
+        console.error(`❌ No generator config at ${configPath}`);
+        process.exit(1);
     }
 
-    generateTypography() {
-        const typography = this.tokens.typography || {};
-        const timestamp = new Date().toISOString();
-        
-        let output = `//
-//  Typography.swift
-//  Design System
-//
-//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
-//  Generated from Figma Variables via Style Dictionary
-//  Last updated: ${timestamp}
-//
-
-import SwiftUI
-
-extension Font {
-`;
-
-        Object.entries(typography).forEach(([name, token]) => {
-            const swiftName = this.toSwiftName(name);
-            
-            if (typeof token.value === 'object') {
-                const { fontSize, fontWeight, lineHeight } = token.value;
-                let fontCode = `Font.system(size: ${fontSize}`;
-                
-                if (fontWeight) {
-                    fontCode += `, weight: .${fontWeight.toLowerCase()}`;
-                }
-                
-                fontCode += ')';
-                
-                if (lineHeight) {
-                    fontCode += `.lineSpacing(${lineHeight - fontSize})`;
-                }
-                
-                output += `    static let ${swiftName} = ${fontCode}\n`;
-            } else {
-                output += `    static let ${swiftName} = Font.system(size: ${token.value})\n`;
-            }
-        });
-
-        output += `}\n`;
-        return output;
-    }
+    const options = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
 
-    generateSpacing() {
-        const spacing = this.tokens.spacing || {};
-        const timestamp = new Date().toISOString();
-        
-        let output = `//
-//  Spacing.swift
-//  Design System
-//
-//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
-//  Generated from Figma Variables via Style Dictionary
-//  Last updated: ${timestamp}
-//
-
-import SwiftUI
-
-struct Spacing {
-`;
-
-        Object.entries(spacing).forEach(([name, token]) => {
-            const swiftName = this.toSwiftName(name);
-            output += `    static let ${swiftName}: CGFloat = ${token.value}\n`;
-        });
-
-        output += `}\n`;
-        return output;
+    const unknown = Object.keys(options).filter(key => !CONFIG_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown generator option "${unknown[0]}" in ${configPath} (expected one of ${CONFIG_OPTIONS.join(', ')})`);
+        process.exit(1);
     }
 
-    generateBorderRadius() {
-        const borderRadius = this.tokens.borderRadius || {};
-        const timestamp = new Date().toISOString();
-        
-        let output = `//
-//  BorderRadius.swift
-//  Design System
-//
-//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
-//  Generated from Figma Variables via Style Dictionary
-//  Last updated: ${timestamp}
-//
-
-import SwiftUI
-
-struct BorderRadius {
-`;
-
-        Object.entries(borderRadius).forEach(([name, token]) => {
-            const swiftName = this.toSwiftName(name);
-            output += `    static let ${swiftName}: CGFloat = ${token.value}\n`;
-        });
-
-        output += `}\n`;
-        return output;
+    if (argv.includes('--asset-catalog')) {
+        options.assetCatalog = true;
     }
 
-    generateShadows() {
-        const shadows = this.tokens.shadow || {};
-        const timestamp = new Date().toISOString();
-        
-        let output = `//
-//  Shadows.swift
-//  Design System
-//
-//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
-//  Generated from Figma Variables via Style Dictionary
-//  Last updated: ${timestamp}
-//
-
-import SwiftUI
-
-struct Shadow {
-    let offset: CGSize
-    let blur: CGFloat
-    let color: Color
-    let opacity: Double
-    
-    init(offset: CGSize, blur: CGFloat, color: Color, opacity: Double) {
-        self.offset = offset
-        self.blur = blur
-        self.color = color
-        self.opacity = opacity
-    }
+    return options;
 }
 
-extension Shadow {
-`;
-
-        Object.entries(shadows).forEach(([name, token]) => {
-            const swiftName = this.toSwiftName(name);
-            
-            if (typeof token.value === 'object') {
-                const { offset, blur, color, opacity } = token.value;
-                output += `    static let ${swiftName} = Shadow(offset: CGSize(width: ${offset.x}, height: ${offset.y}), blur: ${blur}, color: Color(hex: "${color}"), opacity: ${opacity})\n`;
-            } else {
-                output += `    static let ${swiftName} = Shadow(offset: CGSize(width: 0, height: 2), blur: 4, color: .black, opacity: 0.1)\n`;
-            }
-        });
-
-        output += `}\n`;
-        return output;
-    }
-
-    toSwiftName(name) {
-        return name.charAt(0).toLowerCase() + name.slice(1);
-    }
+// Run the generator
+if (require.main === module) {
+    const generator = createGenerator(parseTargets(process.argv), parseOptions(process.argv));
 
-    generateAll() {
-        console.log('🎨 Generating Swift design token files...');
-        
-        // Ensure output directory exists
-        if (!fs.existsSync(OUTPUT_DIR)) {
-            fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    if (process.argv.includes('--check')) {
+        const drift = generator.check();
+        if (drift.length > 0) {
+            console.error(`\n❌ ${drift.length} generated file${drift.length === 1 ? ' is' : 's are'} out of date. Run npm run generate-swift and commit the result.`);
+            process.exit(1);
         }
 
-        // Generate all files
-        const files = [
-            { name: 'Colors.swift', content: this.generateColors() },
-            { name: 'Typography.swift', content: this.generateTypography() },
-            { name: 'Spacing.swift', content: this.generateSpacing() },
-            { name: 'BorderRadius.swift', content: this.generateBorderRadius() },
-            { name: 'Shadows.swift', content: this.generateShadows() }
-        ];
-
-        files.forEach(({ name, content }) => {
-            const filePath = path.join(OUTPUT_DIR, name);
-            fs.writeFileSync(filePath, content);
-            console.log(`✓ Generated ${name}`);
-        });
-
-        console.log('\n✅ Swift token generation complete!');
-        console.log('📱 Build your iOS project to see the updated tokens');
+        console.log('\n✅ Generated files are up to date');
+        process.exit(0);
     }
-}
 
-// Run the generator
-if (require.main === module) {
-    const generator = new SwiftTokenGenerator();
     generator.generateAll();
+
+    console.log('\n✅ Token generation complete!');
+    console.log('📱 Build your iOS, Android and web projects to see the updated tokens');
 }
 
-module.exports = SwiftTokenGenerator;
+module.exports = {
+    TARGETS,
+    createGenerator,
+    parseTargets,
+    parseOptions
+};
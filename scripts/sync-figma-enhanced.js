@@ -10,6 +10,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { toTokenName } = require('./token-names');
 require('dotenv').config();
 
 // Configuration
@@ -57,13 +58,35 @@ class EnhancedFigmaSync {
             typography: {},
             spacing: {},
             borderRadius: {},
-            shadow: {}
+            shadow: {},
+            gradient: {}
         };
 
+        // Fill styles holding a gradient become gradient tokens instead of colors
+        const fillStyles = new Map();
+        this.extractFillStylesFromNode(fileData.document, fillStyles);
+
         // Extract colors from styles
         if (fileData.styles) {
             Object.entries(fileData.styles).forEach(([styleId, style]) => {
-                if (style.styleType === 'FILL') {
+                const gradient = style.styleType === 'FILL' && fillStyles.has(styleId)
+                    ? this.fillsToGradient(fillStyles.get(styleId))
+                    : null;
+
+                if (gradient) {
+                    const token = {
+                        value: gradient,
+                        type: 'gradient',
+                        styleId: styleId,
+                        originalName: style.name
+                    };
+
+                    if (style.description && style.description.trim()) {
+                        token.description = style.description.trim();
+                    }
+
+                    tokens.gradient[this.sanitizeName(style.name)] = token;
+                } else if (style.styleType === 'FILL') {
                     const name = this.sanitizeName(style.name);
                     // For now, we'll use a default color but mark it as needing style resolution
                     tokens.color[name] = {
@@ -118,13 +141,37 @@ class EnhancedFigmaSync {
             xxl: { value: 48, type: 'spacing' }
         };
 
-        // Add default typography
-        tokens.typography = {
-            headline: { value: { fontSize: 24, fontWeight: 'bold', lineHeight: 32 }, type: 'typography' },
-            title: { value: { fontSize: 20, fontWeight: 'semibold', lineHeight: 28 }, type: 'typography' },
-            body: { value: { fontSize: 16, fontWeight: 'regular', lineHeight: 24 }, type: 'typography' },
-            caption: { value: { fontSize: 12, fontWeight: 'regular', lineHeight: 16 }, type: 'typography' }
-        };
+        // Typography from the file's text styles, read off the text nodes that use them
+        const textStyles = new Map();
+        this.extractTextStylesFromNode(fileData.document, textStyles);
+
+        Object.entries(fileData.styles || {}).forEach(([styleId, style]) => {
+            if (style.styleType !== 'TEXT' || !textStyles.has(styleId)) return;
+
+            const token = {
+                value: this.textStyleToTypography(textStyles.get(styleId)),
+                type: 'typography',
+                styleId: styleId,
+                originalName: style.name
+            };
+
+            if (style.description && style.description.trim()) {
+                token.description = style.description.trim();
+            }
+
+            tokens.typography[this.sanitizeName(style.name)] = token;
+        });
+
+        // Add default typography when the file has no text styles in use
+        if (Object.keys(tokens.typography).length === 0) {
+            console.warn('⚠️  No text styles found in use, writing default typography');
+            tokens.typography = {
+                headline: { value: { fontSize: 24, fontWeight: 'bold', lineHeight: 32 }, type: 'typography' },
+                title: { value: { fontSize: 20, fontWeight: 'semibold', lineHeight: 28 }, type: 'typography' },
+                body: { value: { fontSize: 16, fontWeight: 'regular', lineHeight: 24 }, type: 'typography' },
+                caption: { value: { fontSize: 12, fontWeight: 'regular', lineHeight: 16 }, type: 'typography' }
+            };
+        }
 
         // Add default border radius
         tokens.borderRadius = {
@@ -134,11 +181,38 @@ class EnhancedFigmaSync {
             xl: { value: 16, type: 'borderRadius' }
         };
 
-        // Add default shadows
-        tokens.shadow = {
-            card: { value: { offset: { x: 0, y: 2 }, blur: 8, color: '#000000', opacity: 0.1 }, type: 'shadow' },
-            elevated: { value: { offset: { x: 0, y: 4 }, blur: 16, color: '#000000', opacity: 0.15 }, type: 'shadow' }
-        };
+        // Shadows from the file's effect styles, read off the nodes that use them
+        const effectStyles = new Map();
+        this.extractEffectStylesFromNode(fileData.document, effectStyles);
+
+        Object.entries(fileData.styles || {}).forEach(([styleId, style]) => {
+            const value = style.styleType === 'EFFECT' && effectStyles.has(styleId)
+                ? this.effectsToShadow(effectStyles.get(styleId))
+                : null;
+            if (!value) return;
+
+            const token = {
+                value: value,
+                type: 'shadow',
+                styleId: styleId,
+                originalName: style.name
+            };
+
+            if (style.description && style.description.trim()) {
+                token.description = style.description.trim();
+            }
+
+            tokens.shadow[this.sanitizeName(style.name)] = token;
+        });
+
+        // Add default shadows when the file has no effect styles in use
+        if (Object.keys(tokens.shadow).length === 0) {
+            console.warn('⚠️  No effect styles found in use, writing default shadows');
+            tokens.shadow = {
+                card: { value: { offset: { x: 0, y: 2 }, blur: 8, color: '#000000', opacity: 0.1 }, type: 'shadow' },
+                elevated: { value: { offset: { x: 0, y: 4 }, blur: 16, color: '#000000', opacity: 0.15 }, type: 'shadow' }
+            };
+        }
 
         return tokens;
     }
@@ -150,9 +224,11 @@ class EnhancedFigmaSync {
             node.fills.forEach((fill) => {
                 if (fill.type === 'SOLID' && fill.color) {
                     const { r, g, b } = fill.color;
-                    const hex = '#' + Math.round(r * 255).toString(16).padStart(2, '0') + 
-                               Math.round(g * 255).toString(16).padStart(2, '0') + 
-                               Math.round(b * 255).toString(16).padStart(2, '0');
+                    const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
+
+                    // Translucent fills keep their alpha as a fourth hex byte: #rrggbbaa
+                    const alpha = (fill.color.a === undefined ? 1 : fill.color.a) * (fill.opacity === undefined ? 1 : fill.opacity);
+                    const hex = `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha < 1 ? toHex(alpha) : ''}`;
                     
                     // Store color with node name as key
                     const key = node.name ? node.name.toLowerCase().replace(/[^a-z0-9]/g, '') : 'unnamed';
@@ -166,6 +242,127 @@ class EnhancedFigmaSync {
         }
     }
 
+    extractFillStylesFromNode(node, fillStyles) {
+        if (node.styles && node.styles.fill && node.fills && !fillStyles.has(node.styles.fill)) {
+            fillStyles.set(node.styles.fill, node.fills);
+        }
+
+        if (node.children) {
+            node.children.forEach(child => this.extractFillStylesFromNode(child, fillStyles));
+        }
+    }
+
+    // Gradient of a node's first visible gradient fill, in the same shape the Figma plugin exports
+    fillsToGradient(fills) {
+        const round = (n, digits = 2) => Math.round(n * Math.pow(10, digits)) / Math.pow(10, digits);
+        const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
+
+        const fill = fills.find(candidate => candidate.visible !== false &&
+            (candidate.type === 'GRADIENT_LINEAR' || candidate.type === 'GRADIENT_RADIAL'));
+        if (!fill || !fill.gradientHandlePositions) return null;
+
+        const opacity = fill.opacity === undefined ? 1 : fill.opacity;
+        const stops = fill.gradientStops.map(stop => ({
+            position: round(stop.position, 3),
+            color: `#${toHex(stop.color.r)}${toHex(stop.color.g)}${toHex(stop.color.b)}`,
+            opacity: round(stop.color.a * opacity)
+        }));
+
+        // Handles are fractions of the node size: start and end for linear gradients,
+        // center and the ends of both radii for radial ones
+        const [start, end, width] = fill.gradientHandlePositions;
+
+        if (fill.type === 'GRADIENT_LINEAR') {
+            const angle = Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI;
+            return { type: 'linear', angle: round((angle + 360) % 360), stops };
+        }
+
+        return {
+            type: 'radial',
+            center: { x: round(start.x, 3), y: round(start.y, 3) },
+            radius: {
+                x: round(Math.hypot(end.x - start.x, end.y - start.y), 3),
+                y: round(Math.hypot(width.x - start.x, width.y - start.y), 3)
+            },
+            stops
+        };
+    }
+
+    // The file API only lists style names; the properties live on the text nodes that use a style
+    extractTextStylesFromNode(node, textStyles) {
+        if (node.type === 'TEXT' && node.styles && node.styles.text && node.style && !textStyles.has(node.styles.text)) {
+            textStyles.set(node.styles.text, node.style);
+        }
+
+        if (node.children) {
+            node.children.forEach(child => this.extractTextStylesFromNode(child, textStyles));
+        }
+    }
+
+    extractEffectStylesFromNode(node, effectStyles) {
+        if (node.styles && node.styles.effect && node.effects && !effectStyles.has(node.styles.effect)) {
+            effectStyles.set(node.styles.effect, node.effects);
+        }
+
+        if (node.children) {
+            node.children.forEach(child => this.extractEffectStylesFromNode(child, effectStyles));
+        }
+    }
+
+    // Shadow layers of a node's effects, in the same shape the Figma plugin exports
+    effectsToShadow(effects) {
+        const round = (n) => Math.round(n * 100) / 100;
+        const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
+
+        const layers = effects
+            .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'))
+            .map(effect => {
+                const layer = {
+                    offset: { x: round(effect.offset.x), y: round(effect.offset.y) },
+                    blur: round(effect.radius),
+                    spread: round(effect.spread || 0),
+                    color: `#${toHex(effect.color.r)}${toHex(effect.color.g)}${toHex(effect.color.b)}`,
+                    opacity: round(effect.color.a)
+                };
+
+                if (effect.type === 'INNER_SHADOW') {
+                    layer.inset = true;
+                }
+
+                return layer;
+            });
+
+        if (layers.length === 0) return null;
+        return layers.length === 1 ? layers[0] : layers;
+    }
+
+    // Composite typography value of a REST API TypeStyle, in the same shape the Figma plugin exports
+    textStyleToTypography(style) {
+        const round = (n) => Math.round(n * 100) / 100;
+        const weights = { 100: 'thin', 200: 'extralight', 300: 'light', 400: 'regular', 500: 'medium', 600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black' };
+        const textCases = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+        const textDecorations = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+
+        const value = {
+            fontFamily: style.fontFamily,
+            fontWeight: weights[Math.round((style.fontWeight || 400) / 100) * 100] || 'regular',
+            fontSize: style.fontSize
+        };
+
+        // "INTRINSIC_%" is Figma's automatic line height, which the font decides
+        if (style.lineHeightUnit === 'PIXELS' && style.lineHeightPx) {
+            value.lineHeight = round(style.lineHeightPx);
+        } else if (style.lineHeightUnit === 'FONT_SIZE_%' && style.lineHeightPercentFontSize) {
+            value.lineHeight = round(style.fontSize * style.lineHeightPercentFontSize / 100);
+        }
+
+        if (style.letterSpacing) value.letterSpacing = round(style.letterSpacing);
+        if (textCases[style.textCase]) value.textCase = textCases[style.textCase];
+        if (textDecorations[style.textDecoration]) value.textDecoration = textDecorations[style.textDecoration];
+
+        return value;
+    }
+
     findMatchingColor(styleName, colorMap) {
         const normalizedName = styleName.toLowerCase().replace(/[^a-z0-9]/g, '');
         
@@ -185,10 +382,7 @@ class EnhancedFigmaSync {
     }
 
     sanitizeName(name) {
-        return name.toLowerCase()
-            .replace(/[^a-z0-9]/g, '')
-            .replace(/^color/, '')
-            .replace(/^spacing/, '');
+        return toTokenName(name);
     }
 
     async saveTokens(tokens) {
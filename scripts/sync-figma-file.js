@@ -10,6 +10,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { toTokenName } = require('./token-names');
 require('dotenv').config();
 
 // Configuration
@@ -142,11 +143,7 @@ class FigmaFileSync {
     }
 
     sanitizeName(name) {
-        return name.toLowerCase()
-            .replace(/[^a-z0-9]/g, '')
-            .replace(/^color/, '')
-            .replace(/^spacing/, '')
-            .replace(/^typography/, '');
+        return toTokenName(name);
     }
 
     async saveTokens(tokens) {
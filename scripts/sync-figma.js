@@ -10,6 +10,12 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { toReference, validateReferences } = require('./token-references');
+const { toDTCG } = require('./token-formats');
+const { toTokenName, findPathCollisions } = require('./token-names');
+const { loadSnapshot } = require('./token-diff');
+const { categoryFromScopes } = require('../figma-plugin/code');
+const { nextVersion, releaseMetadata, describeRelease, DEFAULT_ALIAS_RELEASES } = require('./token-version');
 require('dotenv').config();
 
 // Configuration
@@ -22,6 +28,13 @@ class FigmaSync {
         this.fileKey = process.env.FIGMA_FILE_KEY;
         this.collections = process.env.FIGMA_COLLECTIONS?.split(',').map(s => s.trim()).filter(Boolean) || [];
         this.modes = process.env.FIGMA_MODES?.split(',').map(s => s.trim()).filter(Boolean) || [];
+        this.format = (process.env.TOKENS_FORMAT || 'legacy').toLowerCase();
+        this.hiddenVariables = (process.env.HIDDEN_VARIABLES || 'skip').toLowerCase();
+        // The REST API doesn't report the file's color profile, so Display P3 files say so here
+        this.colorSpace = (process.env.FIGMA_COLOR_SPACE || 'srgb').toLowerCase();
+        this.aliasReleases = process.env.DEPRECATED_ALIAS_RELEASES
+            ? parseInt(process.env.DEPRECATED_ALIAS_RELEASES, 10)
+            : DEFAULT_ALIAS_RELEASES;
         
         if (!this.accessToken || !this.fileKey) {
             console.error('❌ Missing required environment variables:');
@@ -43,7 +56,8 @@ class FigmaSync {
                 }
             );
 
-            const { meta, values } = response.data;
+            const { meta } = response.data;
+            const values = meta.variables;
             
             console.log(`✓ Found ${Object.keys(values).length} variables`);
             console.log(`✓ Found ${Object.keys(meta.variableCollections).length} collections`);
@@ -64,68 +78,163 @@ class FigmaSync {
             spacing: {},
             borderRadius: {},
             shadow: {},
-            opacity: {}
+            opacity: {},
+            boolean: {},
+            string: {}
         };
 
-        // Process each variable
+        // Variables hidden from publishing are skipped unless exported as private tokens,
+        // and so are collections left out by FIGMA_COLLECTIONS; aliases to either are inlined
+        const skipped = {};
         Object.entries(values).forEach(([variableId, variable]) => {
-            const collection = meta.variableCollections[variable.collectionId];
-            const collectionName = collection.name.toLowerCase().replace(/\s+/g, '-');
-            
-            // Filter by collections if specified
-            if (this.collections.length > 0 && !this.collections.includes(collection.name)) {
-                return;
+            const collection = meta.variableCollections[variable.variableCollectionId];
+            const excluded = this.collections.length > 0 && !(collection && this.collections.includes(collection.name));
+
+            if (excluded || (variable.hiddenFromPublishing && this.hiddenVariables !== 'private')) {
+                skipped[variableId] = variable;
             }
+        });
 
-            // Process variable modes
-            Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
-                const mode = collection.modes[modeId];
-                const modeName = mode.name.toLowerCase().replace(/\s+/g, '-');
-                
+        // Token path of every variable, so aliases can point at their target by name
+        const tokenPaths = {};
+        Object.entries(values).forEach(([variableId, variable]) => {
+            if (!skipped[variableId]) {
+                tokenPaths[variableId] = this.createTokenPath(variable);
+            }
+        });
+
+        // Process each variable
+        const exported = [];
+        Object.entries(values).forEach(([variableId, variable]) => {
+            if (skipped[variableId]) return;
+
+            const collection = meta.variableCollections[variable.variableCollectionId];
+
+            // Process variable modes, keyed by mode slug
+            const modes = {};
+            collection.modes.forEach(mode => {
                 // Filter by modes if specified
                 if (this.modes.length > 0 && !this.modes.includes(mode.name)) {
                     return;
                 }
 
-                // Create token path
-                const tokenPath = this.createTokenPath(variable, collection, mode);
-                if (!tokenPath) return;
-
                 // Transform value based on variable type
-                const transformedValue = this.transformValue(variable.resolvedType, value);
+                const value = this.inlineSkippedAliases(variable.valuesByMode[mode.modeId], mode.modeId, skipped, meta.variableCollections);
+                const transformedValue = this.transformValue(variable.resolvedType, value, tokenPaths);
                 if (transformedValue === null) return;
 
-                // Set token value
-                this.setNestedValue(tokens, tokenPath, transformedValue);
+                modes[this.sanitizeModeName(mode.name)] = transformedValue;
             });
+
+            const modeNames = Object.keys(modes);
+            if (modeNames.length === 0) return;
+
+            const defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId);
+            const defaultModeName = defaultMode && defaultMode.name ? this.sanitizeModeName(defaultMode.name) : null;
+            const token = {
+                value: defaultModeName in modes ? modes[defaultModeName] : modes[modeNames[0]],
+                type: tokenPaths[variableId].split('.')[0],
+                variableId: variable.key,
+                originalName: variable.name,
+                resolvedType: variable.resolvedType,
+                collection: collection.name
+            };
+
+            if (variable.hiddenFromPublishing) {
+                token.private = true;
+            }
+
+            // Only narrowed scopes are kept; ALL_SCOPES is the default
+            if (variable.scopes && variable.scopes.length > 0 && !variable.scopes.includes('ALL_SCOPES')) {
+                token.scopes = variable.scopes.slice();
+            }
+
+            // Shown as doc comments in generated code; "@deprecated" marks the token as deprecated
+            if (variable.description && variable.description.trim()) {
+                token.description = variable.description.trim();
+            }
+
+            if (collection.modes.length > 1) {
+                token.modes = modes;
+            }
+
+            // Set token value
+            this.setNestedValue(tokens, tokenPaths[variableId], token);
+            exported.push({ path: tokenPaths[variableId], originalName: variable.name });
         });
 
+        // Two variables with the same token name would silently overwrite each other
+        const collisions = findPathCollisions(exported);
+        if (collisions.length > 0) {
+            throw new Error(`Figma variable names collide:\n   ${collisions.join('\n   ')}\n   Rename one of each group in Figma.`);
+        }
+
         return tokens;
     }
 
-    createTokenPath(variable, collection, mode) {
-        const collectionName = collection.name.toLowerCase().replace(/\s+/g, '-');
-        const modeName = mode.name.toLowerCase().replace(/\s+/g, '-');
-        const variableName = variable.name.toLowerCase().replace(/\s+/g, '-');
-
-        // Determine token category based on variable name patterns
+    createTokenPath(variable) {
+        // Determine token category from the variable's scopes, then its name
+        const scopedCategory = variable.resolvedType === 'FLOAT' ? categoryFromScopes(variable.scopes) : null;
         let category = 'spacing';
-        if (variable.name.match(/color|background|foreground|border/i)) {
+        if (scopedCategory) {
+            category = scopedCategory;
+        } else if (variable.resolvedType === 'BOOLEAN') {
+            category = 'boolean';
+        } else if (variable.resolvedType === 'STRING') {
+            category = 'string';
+        } else if (variable.name.match(/color|background|foreground|border/i) || variable.resolvedType === 'COLOR') {
             category = 'color';
         } else if (variable.name.match(/font|text|typography/i)) {
             category = 'typography';
         } else if (variable.name.match(/radius|corner/i)) {
             category = 'borderRadius';
-        } else if (variable.name.match(/shadow/i)) {
-            category = 'shadow';
         } else if (variable.name.match(/opacity|alpha/i)) {
             category = 'opacity';
         }
 
-        return `${category}.${collectionName}.${modeName}.${variableName}`;
+        return `${category}.${this.sanitizeName(variable.name)}`;
+    }
+
+    // Follow aliases into skipped variables until a value or an exported variable is reached
+    inlineSkippedAliases(value, modeId, skipped, variableCollections) {
+        const visited = [];
+        let current = value;
+
+        while (current && current.type === 'VARIABLE_ALIAS' && skipped[current.id] && !visited.includes(current.id)) {
+            visited.push(current.id);
+
+            const target = skipped[current.id];
+            const collection = variableCollections[target.variableCollectionId];
+            const targetModeId = modeId in target.valuesByMode
+                ? modeId
+                : (collection ? collection.defaultModeId : Object.keys(target.valuesByMode)[0]);
+            current = target.valuesByMode[targetModeId];
+        }
+
+        return current;
+    }
+
+    // Same naming as the Figma plugin, so both sources produce identical token files
+    sanitizeName(name) {
+        return toTokenName(name);
+    }
+
+    sanitizeModeName(name) {
+        return name.trim().toLowerCase().replace(/\s+/g, '-');
     }
 
-    transformValue(type, value) {
+    transformValue(type, value, tokenPaths = {}) {
+        if (value && value.type === 'VARIABLE_ALIAS') {
+            const tokenPath = tokenPaths[value.id];
+            if (!tokenPath) {
+                console.warn(`⚠️  Alias to unknown variable ${value.id} skipped`);
+                return null;
+            }
+
+            const [category, name] = tokenPath.split('.');
+            return toReference(category, name);
+        }
+
         switch (type) {
             case 'COLOR':
                 return this.colorToHex(value);
@@ -146,12 +255,9 @@ class FigmaSync {
         
         const { r, g, b, a = 1 } = color;
         const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0');
-        
-        if (a < 1) {
-            return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
-        }
-        
-        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+
+        // Translucent colors keep their alpha as a fourth hex byte: #rrggbbaa
+        return `#${toHex(r)}${toHex(g)}${toHex(b)}${a < 1 ? toHex(a) : ''}`;
     }
 
     setNestedValue(obj, path, value) {
@@ -177,14 +283,20 @@ class FigmaSync {
             fs.mkdirSync(tokensDir, { recursive: true });
         }
 
-        // Save tokens with metadata
+        // The file being replaced is the previous release the version is bumped from
+        const previous = fs.existsSync(TOKENS_OUTPUT_PATH) ? loadSnapshot(TOKENS_OUTPUT_PATH) : null;
+        const release = nextVersion(previous, tokens, { aliasReleases: this.aliasReleases });
+        console.log(`📦 Token version ${describeRelease(release)}`);
+
+        // Save tokens with metadata, as W3C DTCG groups when requested
         const output = {
-            $metadata: {
+            $metadata: releaseMetadata({
                 generatedAt: new Date().toISOString(),
                 source: 'figma',
-                version: '1.0.0'
-            },
-            ...tokens
+                format: this.format,
+                colorSpace: this.colorSpace
+            }, release),
+            ...(this.format === 'dtcg' ? toDTCG(tokens) : tokens)
         };
 
         fs.writeFileSync(TOKENS_OUTPUT_PATH, JSON.stringify(output, null, 2));
@@ -200,6 +312,12 @@ class FigmaSync {
             
             // Transform to Style Dictionary format
             const tokens = this.transformToStyleDictionary(figmaData);
+
+            // Aliases must resolve before anything is written
+            const referenceErrors = validateReferences(tokens);
+            if (referenceErrors.length > 0) {
+                throw new Error(`Invalid token aliases:\n   ${referenceErrors.join('\n   ')}`);
+            }
             
             // Save tokens
             await this.saveTokens(tokens);
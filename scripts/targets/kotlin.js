@@ -0,0 +1,377 @@
+/**
+ * Kotlin Target
+ *
+ * Jetpack Compose output for the token generator: Color, Dp, TextStyle,
+ * Shape and elevation objects, plus a light/dark DesignColorScheme when
+ * color tokens have a dark mode.
+ */
+
+const { parseReference, resolveReference } = require('../token-references');
+const { parseHexColor, toHexByte, colorSpaceOf, colorComponents } = require('../token-colors');
+const { toKotlinIdentifier } = require('../token-names');
+const { fileHeader, resolveAppearance, shadowLayers, inReferenceOrder } = require('./shared');
+
+// Kotlin object that holds the generated values of each token category
+const KOTLIN_OBJECTS = {
+    color: 'DesignColors',
+    typography: 'DesignTypography',
+    spacing: 'Spacing',
+    borderRadius: 'BorderRadius',
+    shadow: 'Elevation',
+    opacity: 'Opacity',
+    boolean: 'FeatureFlags',
+    string: 'DesignStrings'
+};
+
+const FONT_WEIGHTS = {
+    thin: 'Thin',
+    ultralight: 'ExtraLight',
+    extralight: 'ExtraLight',
+    light: 'Light',
+    regular: 'Normal',
+    normal: 'Normal',
+    medium: 'Medium',
+    semibold: 'SemiBold',
+    bold: 'Bold',
+    heavy: 'ExtraBold',
+    extrabold: 'ExtraBold',
+    black: 'Black'
+};
+
+class KotlinTarget {
+    constructor(options = {}) {
+        this.name = 'kotlin';
+        this.packageName = options.packageName || 'com.designsystem.tokens';
+        this.outputDir = options.outputDir || `android/src/main/java/${this.packageName.replace(/\./g, '/')}`;
+        this.generatedVia = options.generatedVia || 'Style Dictionary';
+        this.files = [
+            { name: 'Color.kt', categories: ['color'], generate: tokens => this.generateColors(tokens) },
+            { name: 'Type.kt', categories: ['typography'], generate: tokens => this.generateTypography(tokens) },
+            { name: 'Dimens.kt', categories: ['spacing', 'borderRadius'], generate: tokens => this.generateDimens(tokens) },
+            { name: 'Shape.kt', categories: ['borderRadius'], generate: tokens => this.generateShapes(tokens) },
+            { name: 'Elevation.kt', categories: ['shadow'], generate: tokens => this.generateElevation(tokens) },
+            { name: 'Opacity.kt', categories: ['opacity'], generate: tokens => this.generateConstants(tokens, 'opacity', value => `${value}f`) },
+            { name: 'FeatureFlags.kt', categories: ['boolean'], generate: tokens => this.generateConstants(tokens, 'boolean', value => String(value)) },
+            { name: 'Strings.kt', categories: ['string'], generate: tokens => this.generateConstants(tokens, 'string', value => this.toKotlinString(value)) }
+        ];
+    }
+
+    header(fileName, imports) {
+        return `${fileHeader(fileName, this.generatedVia)}
+
+package ${this.packageName}
+${imports.length > 0 ? `\n${imports.map(name => `import ${name}`).join('\n')}\n` : ''}`;
+    }
+
+    generateColors(tokens) {
+        const colors = tokens.color || {};
+        const staticColors = [];
+        const adaptiveColors = [];
+
+        this.inInitializationOrder('color', colors).forEach(([name, token]) => {
+            const appearance = this.colorAppearance(tokens, token);
+            if (appearance) {
+                adaptiveColors.push([name, appearance]);
+            } else {
+                staticColors.push([name, token]);
+            }
+        });
+
+        const imports = ['androidx.compose.ui.graphics.Color', ...this.colorSpaceImports(tokens)];
+        if (adaptiveColors.length > 0) {
+            imports.unshift(
+                'androidx.compose.foundation.isSystemInDarkTheme',
+                'androidx.compose.runtime.Composable',
+                'androidx.compose.runtime.CompositionLocalProvider',
+                'androidx.compose.runtime.Immutable',
+                'androidx.compose.runtime.staticCompositionLocalOf'
+            );
+        }
+
+        let output = `${this.header('Color.kt', imports)}
+object DesignColors {
+`;
+
+        staticColors.forEach(([name, token]) => {
+            output += `    ${this.visibility(token)}val ${this.toKotlinName(name)} = ${this.toKotlinColor(tokens, token.value)}\n`;
+        });
+
+        output += `}\n`;
+
+        if (adaptiveColors.length > 0) {
+            const schemeValues = (mode) => adaptiveColors
+                .map(([name, appearance]) => `    ${this.toKotlinName(name)} = ${this.toKotlinColor(tokens, appearance[mode], appearance[`${mode}Mode`])},`)
+                .join('\n');
+
+            output += `
+@Immutable
+data class DesignColorScheme(
+${adaptiveColors.map(([name]) => `    val ${this.toKotlinName(name)}: Color,`).join('\n')}
+)
+
+val LightDesignColorScheme = DesignColorScheme(
+${schemeValues('light')}
+)
+
+val DarkDesignColorScheme = DesignColorScheme(
+${schemeValues('dark')}
+)
+
+val LocalDesignColorScheme = staticCompositionLocalOf { LightDesignColorScheme }
+
+/** Provides the light or dark DesignColorScheme to \`content\` */
+@Composable
+fun DesignTheme(darkTheme: Boolean = isSystemInDarkTheme(), content: @Composable () -> Unit) {
+    val colorScheme = if (darkTheme) DarkDesignColorScheme else LightDesignColorScheme
+    CompositionLocalProvider(LocalDesignColorScheme provides colorScheme, content = content)
+}
+`;
+        }
+
+        return output;
+    }
+
+    generateTypography(tokens) {
+        const typography = tokens.typography || {};
+        const decorations = { underline: 'Underline', 'line-through': 'LineThrough' };
+
+        const imports = [
+            'androidx.compose.ui.text.TextStyle',
+            'androidx.compose.ui.text.font.FontWeight',
+            'androidx.compose.ui.unit.sp'
+        ];
+        if (Object.values(typography).some(token => token.value && decorations[token.value.textDecoration])) {
+            imports.splice(2, 0, 'androidx.compose.ui.text.style.TextDecoration');
+        }
+
+        let output = `${this.header('Type.kt', imports)}
+object DesignTypography {
+`;
+
+        this.inInitializationOrder('typography', typography).forEach(([name, token]) => {
+            const kotlinName = this.toKotlinName(name);
+            const reference = parseReference(token.value);
+
+            if (reference && reference.category === 'typography') {
+                output += `    ${this.visibility(token)}val ${kotlinName} = ${this.toKotlinReference(token.value)}\n`;
+            } else if (typeof token.value === 'object' && !reference) {
+                const { fontSize, fontWeight, lineHeight, letterSpacing, textDecoration } = token.value;
+                const args = [`fontSize = ${this.toKotlinNumber(fontSize)}.sp`];
+
+                if (fontWeight) {
+                    args.push(`fontWeight = FontWeight.${FONT_WEIGHTS[fontWeight.toLowerCase().replace(/[^a-z]/g, '')] || 'Normal'}`);
+                }
+                if (lineHeight) {
+                    args.push(`lineHeight = ${this.toKotlinNumber(lineHeight)}.sp`);
+                }
+                if (letterSpacing) {
+                    args.push(`letterSpacing = ${this.toKotlinNumber(letterSpacing)}.sp`);
+                }
+                if (decorations[textDecoration]) {
+                    args.push(`textDecoration = TextDecoration.${decorations[textDecoration]}`);
+                }
+
+                output += `    ${this.visibility(token)}val ${kotlinName} = TextStyle(${args.join(', ')})\n`;
+            } else if (reference) {
+                output += `    ${this.visibility(token)}val ${kotlinName} = TextStyle(fontSize = ${this.toKotlinReference(token.value)}.value.sp)\n`;
+            } else {
+                output += `    ${this.visibility(token)}val ${kotlinName} = TextStyle(fontSize = ${this.toKotlinNumber(token.value)}.sp)\n`;
+            }
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    generateDimens(tokens) {
+        let output = `${this.header('Dimens.kt', ['androidx.compose.ui.unit.dp'])}`;
+
+        ['spacing', 'borderRadius'].forEach(category => {
+            output += `\nobject ${KOTLIN_OBJECTS[category]} {\n`;
+
+            this.inInitializationOrder(category, tokens[category] || {}).forEach(([name, token]) => {
+                output += `    ${this.visibility(token)}val ${this.toKotlinName(name)} = ${this.toKotlinDp(token.value)}\n`;
+            });
+
+            output += `}\n`;
+        });
+
+        return output;
+    }
+
+    generateShapes(tokens) {
+        const borderRadius = tokens.borderRadius || {};
+
+        let output = `${this.header('Shape.kt', ['androidx.compose.foundation.shape.RoundedCornerShape'])}
+object DesignShapes {
+`;
+
+        Object.entries(borderRadius).forEach(([name, token]) => {
+            const kotlinName = this.toKotlinName(name);
+            output += `    ${this.visibility(token)}val ${kotlinName} = RoundedCornerShape(BorderRadius.${kotlinName})\n`;
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    // Plain constants: opacity as Float, boolean variables (feature flags) and string variables.
+    // References into another category (Dp, Color) are inlined as this category's literal
+    generateConstants(tokens, category, toLiteral) {
+        const fileName = { opacity: 'Opacity.kt', boolean: 'FeatureFlags.kt', string: 'Strings.kt' }[category];
+
+        let output = `${this.header(fileName, [])}
+object ${KOTLIN_OBJECTS[category]} {
+`;
+
+        this.inInitializationOrder(category, tokens[category] || {}).forEach(([name, token]) => {
+            const reference = parseReference(token.value);
+            const value = reference && reference.category === category
+                ? this.toKotlinReference(token.value)
+                : toLiteral(resolveReference(tokens, token.value));
+            output += `    ${this.visibility(token)}val ${this.toKotlinName(name)} = ${value}\n`;
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    // Kotlin string literal; `$` is escaped so values aren't read as templates
+    toKotlinString(value) {
+        const escapes = { '\\': '\\\\', '"': '\\"', '$': '\\$', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+        const escaped = value.replace(/[\\"$\u0000-\u001f]/g, character => escapes[character] || `\\u${character.charCodeAt(0).toString(16).padStart(4, '0')}`);
+        return `"${escaped}"`;
+    }
+
+    generateElevation(tokens) {
+        const shadows = tokens.shadow || {};
+
+        let output = `${this.header('Elevation.kt', [
+            'androidx.compose.runtime.Immutable',
+            'androidx.compose.ui.graphics.Color',
+            ...this.colorSpaceImports(tokens),
+            'androidx.compose.ui.unit.Dp',
+            'androidx.compose.ui.unit.dp'
+        ])}
+@Immutable
+data class ShadowLayer(
+    val offsetX: Dp,
+    val offsetY: Dp,
+    val blur: Dp,
+    val spread: Dp,
+    val color: Color,
+    val inset: Boolean = false
+)
+
+/** A Figma effect style: drop and inner shadow layers, drawn in order */
+@Immutable
+data class DesignShadow(val layers: List<ShadowLayer>) {
+    /** Compose elevation whose shadow comes closest to the largest drop shadow blur */
+    val elevation: Dp get() = layers.filter { !it.inset }.maxOfOrNull { it.blur / 2 } ?: 0.dp
+}
+
+object Elevation {
+`;
+
+        this.inInitializationOrder('shadow', shadows).forEach(([name, token]) => {
+            const kotlinName = this.toKotlinName(name);
+
+            if (parseReference(token.value)?.category === 'shadow') {
+                output += `    ${this.visibility(token)}val ${kotlinName} = ${this.toKotlinReference(token.value)}\n`;
+            } else {
+                const layers = shadowLayers(token.value).map(({ offset, blur, spread = 0, color, opacity, inset }) => {
+                    const args = [
+                        `offsetX = ${this.toKotlinDp(offset.x)}`,
+                        `offsetY = ${this.toKotlinDp(offset.y)}`,
+                        `blur = ${this.toKotlinDp(blur)}`,
+                        `spread = ${this.toKotlinDp(spread)}`,
+                        `color = ${this.toKotlinColor(tokens, color)}.copy(alpha = ${opacity}f)`
+                    ];
+                    if (inset) args.push('inset = true');
+                    return `        ShadowLayer(${args.join(', ')})`;
+                });
+                output += `    ${this.visibility(token)}val ${kotlinName} = DesignShadow(listOf(\n${layers.join(',\n')}\n    ))\n`;
+            }
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    // Private tokens (hidden from publishing in Figma) are internal to the tokens module
+    visibility(token) {
+        return token.private ? 'internal ' : '';
+    }
+
+    // Kotlin object properties initialize top to bottom, so aliases must follow their targets
+    inInitializationOrder(category, group) {
+        return inReferenceOrder({ [category]: group }, [category]).map(({ name, token }) => [name, token]);
+    }
+
+    /**
+     * Kotlin expression for a color value. Aliases to static colors stay
+     * references; aliases to adaptive colors are resolved for `mode`, since
+     * scheme members can't refer to each other.
+     */
+    toKotlinColor(tokens, value, mode) {
+        const reference = parseReference(value);
+        if (reference) {
+            const target = tokens.color && tokens.color[reference.name];
+            if (reference.category === 'color' && target && !this.colorAppearance(tokens, target)) {
+                return this.toKotlinReference(value);
+            }
+            return this.toKotlinColor(tokens, resolveReference(tokens, value, mode));
+        }
+
+        // Color(0xAARRGGBB) is always sRGB
+        if (colorSpaceOf(tokens) === 'display-p3') {
+            const { red, green, blue, alpha } = colorComponents(value);
+            return `Color(red = ${red}f, green = ${green}f, blue = ${blue}f, alpha = ${alpha}f, colorSpace = ColorSpaces.DisplayP3)`;
+        }
+
+        const { r, g, b, a } = parseHexColor(value);
+        return `Color(0x${[a * 255, r, g, b].map(toHexByte).join('').toUpperCase()})`;
+    }
+
+    /**
+     * Light and dark appearance of a color token, like resolveAppearance().
+     * An alias to an adaptive color is adaptive too, so it joins the
+     * DesignColorScheme instead of freezing its target's light value.
+     */
+    colorAppearance(tokens, token) {
+        const appearance = resolveAppearance(token);
+        if (appearance) return appearance;
+
+        const reference = parseReference(token.value);
+        const target = reference && reference.category === 'color' && tokens.color && tokens.color[reference.name];
+        const targetAppearance = target && this.colorAppearance(tokens, target);
+
+        return targetAppearance ? Object.assign({}, targetAppearance, { light: token.value, dark: token.value }) : null;
+    }
+
+    colorSpaceImports(tokens) {
+        return colorSpaceOf(tokens) === 'display-p3' ? ['androidx.compose.ui.graphics.colorspace.ColorSpaces'] : [];
+    }
+
+    toKotlinDp(value) {
+        return this.toKotlinReference(value) || `${this.toKotlinNumber(value)}.dp`;
+    }
+
+    toKotlinNumber(value) {
+        return value < 0 ? `(${value})` : `${value}`;
+    }
+
+    // `{spacing.m}` -> `Spacing.m`; null for plain values
+    toKotlinReference(value) {
+        const reference = parseReference(value);
+        if (!reference) return null;
+
+        return `${KOTLIN_OBJECTS[reference.category]}.${this.toKotlinName(reference.name)}`;
+    }
+
+    toKotlinName(name) {
+        return toKotlinIdentifier(name);
+    }
+}
+
+module.exports = KotlinTarget;
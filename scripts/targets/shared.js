@@ -0,0 +1,225 @@
+/**
+ * Shared Target Helpers
+ *
+ * Pieces every output target needs: the generated-file header,
+ * light/dark resolution for multi-mode tokens and alias ordering.
+ */
+
+const crypto = require('crypto');
+const { parseReference, resolveReference } = require('../token-references');
+
+// Stands in for the content hash until the whole file has been rendered
+const CONTENT_HASH_PLACEHOLDER = '{{content-hash}}';
+
+// Token font weights and the matching Font.Weight / UIFont.Weight member
+const SWIFT_FONT_WEIGHTS = {
+    ultralight: 'ultraLight',
+    extralight: 'ultraLight',
+    thin: 'thin',
+    light: 'light',
+    regular: 'regular',
+    normal: 'regular',
+    medium: 'medium',
+    semibold: 'semibold',
+    bold: 'bold',
+    heavy: 'heavy',
+    extrabold: 'heavy',
+    black: 'black'
+};
+
+// Header for generated files; `block` wraps it in /* */ for languages without // comments
+function fileHeader(fileName, generatedVia, style = 'line') {
+    const lines = [
+        '',
+        fileName,
+        'Design System',
+        '',
+        '⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY',
+        `Generated from Figma Variables via ${generatedVia}`,
+        `Content hash: ${CONTENT_HASH_PLACEHOLDER}`,
+        ''
+    ];
+
+    if (style === 'block') {
+        return ['/*'].concat(lines.slice(1, -1).map(line => line ? ` *  ${line}` : ' *'), ' */').join('\n');
+    }
+
+    return lines.map(line => line ? `//  ${line}` : '//').join('\n');
+}
+
+/**
+ * Fill in the header's content hash. The hash covers the rendered file, so
+ * regenerating unchanged tokens produces byte-identical output, unlike a
+ * timestamp, and the header still changes whenever the content does.
+ */
+function stampContentHash(content) {
+    if (!content.includes(CONTENT_HASH_PLACEHOLDER)) return content;
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+    return content.replace(CONTENT_HASH_PLACEHOLDER, hash);
+}
+
+/**
+ * Pick the light and dark values of a multi-mode token.
+ * The dark value comes from the first mode named "dark"; the light value from
+ * a mode named "light", falling back to the default mode (token.value).
+ * Returns null when the token has no dark mode.
+ */
+function resolveAppearance(token) {
+    if (!token.modes) return null;
+
+    const modeNames = Object.keys(token.modes);
+    const darkMode = modeNames.find(mode => mode.includes('dark'));
+    if (!darkMode) return null;
+
+    const lightMode = modeNames.find(mode => mode.includes('light'));
+    return {
+        lightMode,
+        darkMode,
+        light: lightMode ? token.modes[lightMode] : token.value,
+        dark: token.modes[darkMode]
+    };
+}
+
+// Layers of a shadow value; a single layer may be written without the array
+function shadowLayers(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Split a token description into doc comment lines and a deprecation
+ * message. A `@deprecated` marker deprecates the token; the text after it
+ * (or the rest of the description) becomes the message.
+ * Returns { lines: [string], deprecated: string | null }.
+ */
+function parseDescription(description) {
+    if (typeof description !== 'string' || !description.trim()) {
+        return { lines: [], deprecated: null };
+    }
+
+    const match = description.match(/@deprecated\b:?([^\n]*)/i);
+    const text = match ? description.replace(match[0], '') : description;
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    return {
+        lines,
+        deprecated: match ? (match[1].trim() || lines.join(' ') || 'Deprecated in Figma') : null
+    };
+}
+
+// `///` doc comment and deprecation attribute for a Swift declaration
+function swiftAnnotations(token, indent = '    ') {
+    const { lines, deprecated } = parseDescription(token.description);
+    let output = lines.map(line => `${indent}/// ${line}\n`).join('');
+
+    if (deprecated) {
+        output += `${indent}@available(*, deprecated, message: "${deprecated.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")\n`;
+    }
+
+    return output;
+}
+
+// Apple's system typefaces, which Swift reaches through the system font instead of by name
+const SYSTEM_FONT_FAMILY = /^(\.?SF( Pro| Compact)?( Text| Display| Rounded)?|San Francisco|system-ui|system)$/i;
+
+// `.semibold` for "semibold" or "Semi Bold"; unknown weights are regular
+function swiftFontWeight(weight) {
+    return `.${SWIFT_FONT_WEIGHTS[String(weight || 'regular').toLowerCase().replace(/[^a-z]/g, '')] || 'regular'}`;
+}
+
+// Font family a composite typography value asks for by name, or null for the system font
+function customFontFamily(value) {
+    const family = value && typeof value.fontFamily === 'string' ? value.fontFamily.trim() : '';
+    return family && !SYSTEM_FONT_FAMILY.test(family) ? family : null;
+}
+
+/**
+ * Deprecated aliases of a category from `$metadata.deprecations` (see
+ * token-version.js) whose new name still exists: [{ name, renamed }].
+ */
+function deprecatedAliases(tokens, category) {
+    const group = tokens[category] || {};
+    const deprecations = (tokens.$metadata && tokens.$metadata.deprecations) || [];
+
+    return deprecations
+        .filter(deprecation => deprecation.category === category && group[deprecation.renamed] && !group[deprecation.name])
+        .map(({ name, renamed }) => ({ name, renamed }));
+}
+
+/**
+ * Copy of the tokens where references to private tokens of another category
+ * are replaced by the resolved value. Targets that give private tokens a
+ * file-level access level use this, since every category has its own file.
+ */
+function inlinePrivateReferences(tokens) {
+    const inline = (category, value, mode) => {
+        const reference = parseReference(value);
+        const target = reference && tokens[reference.category] && tokens[reference.category][reference.name];
+        return target && target.private && reference.category !== category
+            ? resolveReference(tokens, value, mode)
+            : value;
+    };
+
+    const inlined = {};
+    Object.entries(tokens).forEach(([category, group]) => {
+        if (category.startsWith('$')) {
+            inlined[category] = group;
+            return;
+        }
+
+        inlined[category] = {};
+        Object.entries(group).forEach(([name, token]) => {
+            const copy = Object.assign({}, token, { value: inline(category, token.value) });
+            if (token.modes) {
+                copy.modes = Object.fromEntries(Object.entries(token.modes).map(([mode, value]) => [mode, inline(category, value, mode)]));
+            }
+            inlined[category][name] = copy;
+        });
+    });
+
+    return inlined;
+}
+
+/**
+ * Token entries of the given categories, ordered so every alias comes after
+ * the token it points at. Needed wherever declarations must precede use
+ * (Kotlin object properties, SCSS variables).
+ * Returns [{ category, name, token }].
+ */
+function inReferenceOrder(tokens, categories) {
+    const ordered = [];
+    const visited = new Set();
+
+    const visit = (category, name) => {
+        const key = `${category}.${name}`;
+        const token = tokens[category] && tokens[category][name];
+        if (visited.has(key) || !token || !categories.includes(category)) return;
+        visited.add(key);
+
+        const reference = parseReference(token.value);
+        if (reference) {
+            visit(reference.category, reference.name);
+        }
+        ordered.push({ category, name, token });
+    };
+
+    categories.forEach(category => {
+        Object.keys(tokens[category] || {}).forEach(name => visit(category, name));
+    });
+
+    return ordered;
+}
+
+module.exports = {
+    fileHeader,
+    stampContentHash,
+    resolveAppearance,
+    shadowLayers,
+    parseDescription,
+    swiftAnnotations,
+    swiftFontWeight,
+    customFontFamily,
+    deprecatedAliases,
+    inlinePrivateReferences,
+    inReferenceOrder
+};
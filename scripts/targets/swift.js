@@ -0,0 +1,668 @@
+/**
+ * Swift Target
+ *
+ * SwiftUI output for the token generator: Color, Font, Spacing,
+ * BorderRadius and Shadow extensions in DesignSystem/Tokens, plus Opacity,
+ * FeatureFlags (boolean variables) and DesignStrings (string variables)
+ * constants that UIKit code can use as well.
+ * Composite typography (Figma text styles) also gets a TextStyle with the
+ * line height, tracking, case and decoration a Font can't carry, applied
+ * through `.textStyle(_:)`. Shadows keep every Figma effect layer and are
+ * drawn with `.designShadow(_:)`. Gradient paint styles become
+ * LinearGradient and RadialGradient members.
+ * With `assetCatalog`, colors are also written as .colorset folders with
+ * light/dark appearances and read back through `Color("name", bundle:)`.
+ * `bundle` is the Swift expression for the bundle holding the catalog:
+ * `.main` for an app target, `.module` when the tokens ship in a Swift package.
+ */
+
+const { parseReference, resolveReference } = require('../token-references');
+const { parseHexColor, toHexByte, colorSpaceOf, colorComponents } = require('../token-colors');
+const { toSwiftIdentifier } = require('../token-names');
+const { fileHeader, resolveAppearance, shadowLayers, swiftAnnotations, swiftFontWeight, customFontFamily, deprecatedAliases, inlinePrivateReferences } = require('./shared');
+
+// Swift type that holds the generated constants of each token category
+const SWIFT_TYPES = {
+    color: 'Color',
+    typography: 'Font',
+    spacing: 'Spacing',
+    borderRadius: 'BorderRadius',
+    shadow: 'Shadow',
+    opacity: 'Opacity',
+    boolean: 'FeatureFlags',
+    string: 'DesignStrings'
+};
+
+class SwiftTarget {
+    constructor(options = {}) {
+        this.name = 'swift';
+        this.outputDir = 'DesignSystem/Tokens';
+        this.generatedVia = options.generatedVia || 'Style Dictionary';
+        this.assetCatalog = Boolean(options.assetCatalog);
+        this.assetCatalogName = options.assetCatalogName || 'DesignTokens.xcassets';
+        this.bundle = options.bundle || '.main';
+        this.ownedDirs = this.assetCatalog ? [this.assetCatalogName] : [];
+        this.files = tokens => [
+            { name: 'Colors.swift', categories: ['color'], generate: tokens => this.generateColors(tokens) },
+            { name: 'Typography.swift', categories: ['typography'], generate: tokens => this.generateTypography(tokens) },
+            { name: 'Spacing.swift', categories: ['spacing'], generate: tokens => this.generateSpacing(tokens) },
+            { name: 'BorderRadius.swift', categories: ['borderRadius'], generate: tokens => this.generateBorderRadius(tokens) },
+            { name: 'Shadows.swift', categories: ['shadow'], generate: tokens => this.generateShadows(tokens) },
+            { name: 'Gradients.swift', categories: ['gradient'], generate: tokens => this.generateGradients(tokens) },
+            { name: 'Opacity.swift', categories: ['opacity'], generate: tokens => this.generateConstants(tokens, 'opacity', 'Double', value => value) },
+            { name: 'FeatureFlags.swift', categories: ['boolean'], generate: tokens => this.generateConstants(tokens, 'boolean', 'Bool', value => String(value)) },
+            { name: 'DesignStrings.swift', categories: ['string'], generate: tokens => this.generateConstants(tokens, 'string', 'String', value => this.toSwiftString(value)) }
+        ].map(file => Object.assign({}, file, {
+            // Private tokens are fileprivate, so other categories' files get their values instead
+            generate: tokens => file.generate(inlinePrivateReferences(tokens))
+        })).concat(this.assetCatalog ? this.assetCatalogFiles(tokens) : []);
+    }
+
+    // Catalog root plus one .colorset per color token
+    assetCatalogFiles(tokens) {
+        const files = [{
+            name: `${this.assetCatalogName}/Contents.json`,
+            categories: ['color'],
+            generate: () => this.toAssetJSON({})
+        }];
+
+        Object.keys(tokens.color || {}).forEach(name => {
+            files.push({
+                name: `${this.assetCatalogName}/${name}.colorset/Contents.json`,
+                categories: ['color'],
+                generate: tokens => this.generateColorSet(tokens, name)
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Contents.json for one color: the default (light) value plus a dark
+     * luminosity appearance when the token has a dark mode. Aliases are
+     * resolved, since asset catalogs can't point at other colors.
+     */
+    generateColorSet(tokens, name) {
+        const token = tokens.color[name];
+        const appearance = resolveAppearance(token);
+        const colorSpace = colorSpaceOf(tokens);
+
+        const entry = (value, mode) => ({
+            color: this.toAssetColor(resolveReference(tokens, value, mode), colorSpace),
+            idiom: 'universal'
+        });
+
+        const colors = [entry(appearance ? appearance.light : token.value, appearance && appearance.lightMode)];
+        if (appearance) {
+            colors.push(Object.assign(
+                { appearances: [{ appearance: 'luminosity', value: 'dark' }] },
+                entry(appearance.dark, appearance.darkMode)
+            ));
+        }
+
+        return this.toAssetJSON({ colors });
+    }
+
+    toAssetColor(value, colorSpace) {
+        const { r, g, b, a } = parseHexColor(value);
+
+        return {
+            'color-space': colorSpace === 'display-p3' ? 'display-p3' : 'srgb',
+            components: {
+                alpha: a.toFixed(3),
+                blue: `0x${toHexByte(b).toUpperCase()}`,
+                green: `0x${toHexByte(g).toUpperCase()}`,
+                red: `0x${toHexByte(r).toUpperCase()}`
+            }
+        };
+    }
+
+    toAssetJSON(contents) {
+        return `${JSON.stringify(Object.assign(contents, { info: { author: 'xcode', version: 1 } }), null, 2)}\n`;
+    }
+
+    header(fileName) {
+        return fileHeader(fileName, this.generatedVia);
+    }
+
+    generateColors(tokens) {
+        const colors = tokens.color || {};
+        const colorSpace = colorSpaceOf(tokens);
+
+        let output = `${this.header('Colors.swift')}
+
+import SwiftUI
+
+extension Color {
+`;
+
+        let hasAdaptiveColors = false;
+
+        Object.entries(colors).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            const appearance = resolveAppearance(token);
+
+            if (this.assetCatalog) {
+                // Plain aliases keep pointing at their target; everything else reads its colorset
+                const accessor = !token.modes && parseReference(token.value)
+                    ? this.toSwiftColor(token.value)
+                    : `Color("${name}", bundle: ${this.bundle})`;
+                output += `    ${this.access(token)}static let ${swiftName} = ${accessor}\n`;
+            } else if (appearance) {
+                hasAdaptiveColors = true;
+                output += `    ${this.access(token)}static let ${swiftName} = Color(light: ${this.toSwiftColor(appearance.light, colorSpace)}, dark: ${this.toSwiftColor(appearance.dark, colorSpace)})\n`;
+            } else {
+                output += `    ${this.access(token)}static let ${swiftName} = ${this.toSwiftColor(token.value, colorSpace)}\n`;
+            }
+        });
+
+        output += this.generateDeprecatedAliases(tokens, 'color');
+        output += `}\n`;
+
+        if (hasAdaptiveColors) {
+            output += `
+extension Color {
+    /// Resolves to \`light\` or \`dark\` as the system appearance changes
+    init(light: Color, dark: Color) {
+        self.init(UIColor { traits in
+            traits.userInterfaceStyle == .dark ? UIColor(dark) : UIColor(light)
+        })
+    }
+}
+`;
+        }
+
+        return output;
+    }
+
+    /**
+     * `Color(hex:)` for opaque sRGB colors. Translucent and Display P3 colors
+     * spell out their components, since `Color(hex:)` reads 8 digits as ARGB
+     * and always assumes sRGB.
+     */
+    toSwiftColor(value, colorSpace = 'srgb') {
+        const reference = this.toSwiftReference(value);
+        if (reference) return reference;
+
+        const { red, green, blue, alpha } = colorComponents(value);
+        if (colorSpace === 'display-p3' || alpha < 1) {
+            const space = colorSpace === 'display-p3' ? '.displayP3' : '.sRGB';
+            return `Color(${space}, red: ${red}, green: ${green}, blue: ${blue}${alpha < 1 ? `, opacity: ${alpha}` : ''})`;
+        }
+
+        const hexValue = value.startsWith('#') ? value : `#${value}`;
+        return `Color(hex: "${hexValue}")`;
+    }
+
+    generateTypography(tokens) {
+        const typography = tokens.typography || {};
+        
+        let output = `${this.header('Typography.swift')}
+
+import SwiftUI
+
+extension Font {
+`;
+
+        // Composite tokens and aliases to them, which get a TextStyle next to their Font
+        const textStyles = [];
+
+        Object.entries(typography).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            
+            if (parseReference(token.value)?.category === 'typography') {
+                output += `    ${this.access(token)}static let ${swiftName} = ${this.toSwiftReference(token.value)}\n`;
+                if (typeof resolveReference(tokens, token.value) === 'object') {
+                    textStyles.push([name, token]);
+                }
+            } else if (typeof token.value === 'object') {
+                output += `    ${this.access(token)}static let ${swiftName} = ${this.toSwiftFont(token.value)}\n`;
+                textStyles.push([name, token]);
+            } else {
+                output += `    ${this.access(token)}static let ${swiftName} = Font.system(size: ${this.toSwiftNumber(token.value)})\n`;
+            }
+        });
+
+        output += this.generateDeprecatedAliases(tokens, 'typography');
+        output += `}\n`;
+
+        if (textStyles.length > 0) {
+            output += this.generateTextStyles(tokens, textStyles);
+        }
+
+        return output;
+    }
+
+    // `Font.custom("Inter", size: 16).weight(.semibold)`, or the system font for Apple's typefaces
+    toSwiftFont({ fontFamily, fontSize, fontWeight }) {
+        const family = customFontFamily({ fontFamily });
+        const weight = fontWeight ? swiftFontWeight(fontWeight) : null;
+
+        if (family) {
+            return `Font.custom("${family}", size: ${fontSize})${weight ? `.weight(${weight})` : ''}`;
+        }
+        return `Font.system(size: ${fontSize}${weight ? `, weight: ${weight}` : ''})`;
+    }
+
+    /**
+     * TextStyle values for composite typography. SwiftUI's lineSpacing is the
+     * gap between lines rather than their height, so the modifier subtracts
+     * the font's own line height from the token's.
+     */
+    generateTextStyles(tokens, textStyles) {
+        const textCases = { uppercase: '.uppercase', lowercase: '.lowercase' };
+        let output = `
+/// Line height, tracking, case and decoration of a Figma text style, on top of its Font
+struct TextStyle {
+    let font: Font
+    let fontFamily: String?
+    let fontSize: CGFloat
+    let lineHeight: CGFloat?
+    let letterSpacing: CGFloat
+    let textCase: Text.Case?
+    let underline: Bool
+    let strikethrough: Bool
+
+    /// Extra space between lines so baselines are \`lineHeight\` apart
+    var lineSpacing: CGFloat {
+        guard let lineHeight else { return 0 }
+        let font = fontFamily.flatMap { UIFont(name: $0, size: fontSize) } ?? .systemFont(ofSize: fontSize)
+        return max(lineHeight - font.lineHeight, 0)
+    }
+}
+
+extension TextStyle {
+`;
+
+        textStyles.forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+
+            const reference = parseReference(token.value);
+            if (reference) {
+                output += `    ${this.access(token)}static let ${swiftName} = TextStyle.${this.toSwiftName(reference.name)}\n`;
+                return;
+            }
+
+            const { fontSize, lineHeight, letterSpacing, textCase, textDecoration } = token.value;
+            const family = customFontFamily(token.value);
+            const args = [
+                `font: Font.${swiftName}`,
+                `fontFamily: ${family ? `"${family}"` : 'nil'}`,
+                `fontSize: ${fontSize}`,
+                `lineHeight: ${lineHeight === undefined ? 'nil' : lineHeight}`,
+                `letterSpacing: ${letterSpacing || 0}`,
+                // Text.Case has no title case, so "capitalize" is left to the text itself
+                `textCase: ${textCases[textCase] || 'nil'}`,
+                `underline: ${textDecoration === 'underline'}`,
+                `strikethrough: ${textDecoration === 'line-through'}`
+            ];
+            output += `    ${this.access(token)}static let ${swiftName} = TextStyle(${args.join(', ')})\n`;
+        });
+
+        const textStyleNames = new Set(textStyles.map(([name]) => name));
+        deprecatedAliases(tokens, 'typography')
+            .filter(({ renamed }) => textStyleNames.has(renamed))
+            .forEach(({ name, renamed }) => {
+                const newName = this.toSwiftName(renamed);
+                output += `
+    @available(*, deprecated, renamed: "${newName.replace(/`/g, '')}")
+    static let ${this.toSwiftName(name)} = TextStyle.${newName}
+`;
+            });
+
+        output += `}
+
+struct TextStyleModifier: ViewModifier {
+    let style: TextStyle
+
+    func body(content: Content) -> some View {
+        content
+            .font(style.font)
+            .lineSpacing(style.lineSpacing)
+            .tracking(style.letterSpacing)
+            .textCase(style.textCase)
+            .underline(style.underline)
+            .strikethrough(style.strikethrough)
+    }
+}
+
+extension View {
+    /// Applies a design system text style: \`Text("Title").textStyle(.headline)\`
+    func textStyle(_ style: TextStyle) -> some View {
+        modifier(TextStyleModifier(style: style))
+    }
+}
+`;
+        return output;
+    }
+
+    generateSpacing(tokens) {
+        const spacing = tokens.spacing || {};
+        
+        let output = `${this.header('Spacing.swift')}
+
+import SwiftUI
+
+struct Spacing {
+`;
+
+        Object.entries(spacing).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            output += `    ${this.access(token)}static let ${swiftName}: CGFloat = ${this.toSwiftNumber(token.value)}\n`;
+        });
+
+        output += this.generateDeprecatedAliases(tokens, 'spacing');
+        output += `}\n`;
+        return output;
+    }
+
+    generateBorderRadius(tokens) {
+        const borderRadius = tokens.borderRadius || {};
+        
+        let output = `${this.header('BorderRadius.swift')}
+
+import SwiftUI
+
+struct BorderRadius {
+`;
+
+        Object.entries(borderRadius).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            output += `    ${this.access(token)}static let ${swiftName}: CGFloat = ${this.toSwiftNumber(token.value)}\n`;
+        });
+
+        output += this.generateDeprecatedAliases(tokens, 'borderRadius');
+        output += `}\n`;
+        return output;
+    }
+
+    /**
+     * Plain constants of a category that needs no UI framework: opacity,
+     * boolean variables (feature flags) and string variables. `toLiteral`
+     * writes a concrete value as Swift. A reference into another category
+     * (`Spacing` is CGFloat, `Color` a SwiftUI Color) would not type-check,
+     * so its resolved value is inlined instead.
+     */
+    generateConstants(tokens, category, swiftType, toLiteral) {
+        const typeName = SWIFT_TYPES[category];
+
+        let output = `${this.header(`${typeName}.swift`)}
+
+import Foundation
+
+struct ${typeName} {
+`;
+
+        Object.entries(tokens[category] || {}).forEach(([name, token]) => {
+            output += swiftAnnotations(token);
+            const reference = parseReference(token.value);
+            const value = reference && reference.category === category
+                ? this.toSwiftReference(token.value)
+                : toLiteral(resolveReference(tokens, token.value));
+            output += `    ${this.access(token)}static let ${this.toSwiftName(name)}: ${swiftType} = ${value}\n`;
+        });
+
+        output += this.generateDeprecatedAliases(tokens, category);
+        output += `}\n`;
+        return output;
+    }
+
+    // Swift string literal; control characters are written as escapes
+    toSwiftString(value) {
+        const escapes = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+        const escaped = value.replace(/[\\"\u0000-\u001f]/g, character => escapes[character] || `\\u{${character.charCodeAt(0).toString(16)}}`);
+        return `"${escaped}"`;
+    }
+
+    generateShadows(tokens) {
+        const shadows = tokens.shadow || {};
+        const colorSpace = colorSpaceOf(tokens);
+
+        let output = `${this.header('Shadows.swift')}
+
+import SwiftUI
+
+/// A Figma effect style: drop and inner shadow layers, drawn in order
+struct Shadow {
+    struct Layer {
+        let offset: CGSize
+        let blur: CGFloat
+        let spread: CGFloat
+        let color: Color
+        let opacity: Double
+        let inset: Bool
+    }
+
+    let layers: [Layer]
+
+    init(layers: [Layer]) {
+        self.layers = layers
+    }
+
+    /// A single drop shadow
+    init(offset: CGSize, blur: CGFloat, color: Color, opacity: Double) {
+        self.init(layers: [Layer(offset: offset, blur: blur, spread: 0, color: color, opacity: opacity, inset: false)])
+    }
+
+    // The first layer, for code written against single-layer shadows. Use
+    // \`designShadow\` to draw every layer
+    var offset: CGSize { layers[0].offset }
+    var blur: CGFloat { layers[0].blur }
+    var color: Color { layers[0].color }
+    var opacity: Double { layers[0].opacity }
+}
+
+extension Shadow {
+`;
+
+        Object.entries(shadows).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            
+            if (parseReference(token.value)?.category === 'shadow') {
+                output += `    ${this.access(token)}static let ${swiftName} = ${this.toSwiftReference(token.value)}\n`;
+            } else {
+                const layers = shadowLayers(token.value).map(layer => `        ${this.toSwiftShadowLayer(layer, colorSpace)}`);
+                output += `    ${this.access(token)}static let ${swiftName} = Shadow(layers: [\n${layers.join(',\n')}\n    ])\n`;
+            }
+        });
+
+        output += this.generateDeprecatedAliases(tokens, 'shadow');
+        output += `}
+
+/// Draws shadow layers around \`shape\`. SwiftUI's shadow has no spread or
+/// inset, so drop shadows are blurred copies of the shape behind the view
+/// and inner shadows a blurred outline clipped to it. Figma's blur is twice
+/// SwiftUI's blur radius.
+struct DesignShadowModifier<S: Shape>: ViewModifier {
+    let shadow: Shadow
+    let shape: S
+
+    func body(content: Content) -> some View {
+        content
+            .background {
+                ZStack {
+                    ForEach(shadow.layers.indices.filter { !shadow.layers[$0].inset }, id: \\.self) { index in
+                        let layer = shadow.layers[index]
+                        shape
+                            .fill(layer.color.opacity(layer.opacity))
+                            .padding(-layer.spread)
+                            .offset(layer.offset)
+                            .blur(radius: layer.blur / 2)
+                    }
+                }
+            }
+            .overlay {
+                ZStack {
+                    ForEach(shadow.layers.indices.filter { shadow.layers[$0].inset }, id: \\.self) { index in
+                        let layer = shadow.layers[index]
+                        shape
+                            .stroke(layer.color.opacity(layer.opacity), lineWidth: (layer.blur + layer.spread) * 2)
+                            .offset(layer.offset)
+                            .blur(radius: layer.blur / 2)
+                    }
+                }
+                .clipShape(shape)
+                .allowsHitTesting(false)
+            }
+    }
+}
+
+extension View {
+    /// Applies every layer of a design system shadow: \`.designShadow(.card, in: RoundedRectangle(cornerRadius: 12))\`
+    func designShadow<S: Shape>(_ shadow: Shadow, in shape: S) -> some View {
+        modifier(DesignShadowModifier(shadow: shadow, shape: shape))
+    }
+
+    /// Applies every layer of a design system shadow to a rectangular view
+    func designShadow(_ shadow: Shadow) -> some View {
+        designShadow(shadow, in: Rectangle())
+    }
+}
+`;
+        return output;
+    }
+
+    /**
+     * Linear gradients are LinearGradient constants. Radial gradients are
+     * sized relative to the Figma layer, while RadialGradient takes a radius
+     * in points, so they are functions of the filled view's width.
+     */
+    generateGradients(tokens) {
+        const gradients = tokens.gradient || {};
+        const colorSpace = colorSpaceOf(tokens);
+        const linear = [];
+        const radial = [];
+
+        Object.entries(gradients).forEach(([name, token]) => {
+            const resolved = resolveReference(tokens, token.value);
+            (resolved.type === 'radial' ? radial : linear).push([name, token]);
+        });
+
+        const aliasOf = (token) => parseReference(token.value) && this.toSwiftName(parseReference(token.value).name);
+        const deprecations = deprecatedAliases(tokens, 'gradient');
+        const deprecation = (newName) => `    @available(*, deprecated, renamed: "${newName.replace(/`/g, '')}")\n`;
+
+        let output = `${this.header('Gradients.swift')}
+
+import SwiftUI
+
+extension LinearGradient {
+`;
+
+        linear.forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+
+            if (aliasOf(token)) {
+                output += `    ${this.access(token)}static let ${swiftName} = LinearGradient.${aliasOf(token)}\n`;
+                return;
+            }
+
+            const radians = token.value.angle * Math.PI / 180;
+            const point = (x, y) => `UnitPoint(x: ${this.toUnit(x)}, y: ${this.toUnit(y)})`;
+            output += `    ${this.access(token)}static let ${swiftName} = LinearGradient(
+        stops: ${this.toSwiftGradientStops(token.value.stops, '        ', colorSpace)},
+        startPoint: ${point(0.5 - Math.sin(radians) / 2, 0.5 + Math.cos(radians) / 2)},
+        endPoint: ${point(0.5 + Math.sin(radians) / 2, 0.5 - Math.cos(radians) / 2)}
+    )
+`;
+        });
+
+        deprecations.filter(({ renamed }) => linear.some(([name]) => name === renamed)).forEach(({ name, renamed }) => {
+            output += `\n${deprecation(this.toSwiftName(renamed))}    static let ${this.toSwiftName(name)} = LinearGradient.${this.toSwiftName(renamed)}\n`;
+        });
+
+        output += `}
+
+extension RadialGradient {
+`;
+
+        radial.forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            output += `    ${this.access(token)}static func ${swiftName}(width: CGFloat) -> RadialGradient {\n`;
+
+            if (aliasOf(token)) {
+                output += `        .${aliasOf(token)}(width: width)\n    }\n`;
+                return;
+            }
+
+            const { center, radius, stops } = token.value;
+            output += `        RadialGradient(
+            stops: ${this.toSwiftGradientStops(stops, '            ', colorSpace)},
+            center: UnitPoint(x: ${this.toUnit(center.x)}, y: ${this.toUnit(center.y)}),
+            startRadius: 0,
+            endRadius: width * ${this.toUnit(radius.x)}
+        )
+    }
+`;
+        });
+
+        deprecations.filter(({ renamed }) => radial.some(([name]) => name === renamed)).forEach(({ name, renamed }) => {
+            output += `\n${deprecation(this.toSwiftName(renamed))}    static func ${this.toSwiftName(name)}(width: CGFloat) -> RadialGradient {
+        .${this.toSwiftName(renamed)}(width: width)
+    }
+`;
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    toSwiftGradientStops(stops, indent, colorSpace) {
+        const lines = stops.map(({ position, color, opacity }) => {
+            const swiftColor = `${this.toSwiftColor(color, colorSpace)}${opacity < 1 ? `.opacity(${opacity})` : ''}`;
+            return `${indent}    Gradient.Stop(color: ${swiftColor}, location: ${position})`;
+        });
+        return `[\n${lines.join(',\n')}\n${indent}]`;
+    }
+
+    // Unit coordinate rounded for readable output, without "-0"
+    toUnit(value) {
+        return Math.round(value * 1000) / 1000 + 0;
+    }
+
+    toSwiftShadowLayer({ offset, blur, spread = 0, color, opacity, inset = false }, colorSpace) {
+        return `Shadow.Layer(offset: CGSize(width: ${offset.x}, height: ${offset.y}), blur: ${blur}, spread: ${spread}, color: ${this.toSwiftColor(color, colorSpace)}, opacity: ${opacity}, inset: ${inset})`;
+    }
+
+    // Private tokens (hidden from publishing in Figma) stay out of the public token API
+    access(token) {
+        return token.private ? 'fileprivate ' : '';
+    }
+
+    // Old names of renamed tokens, kept for a few releases so call sites get a warning instead of an error
+    generateDeprecatedAliases(tokens, category) {
+        return deprecatedAliases(tokens, category).map(({ name, renamed }) => {
+            const newName = this.toSwiftName(renamed);
+            return `
+    @available(*, deprecated, renamed: "${newName.replace(/`/g, '')}")
+    static let ${this.toSwiftName(name)} = ${SWIFT_TYPES[category]}.${newName}
+`;
+        }).join('');
+    }
+
+    toSwiftNumber(value) {
+        return this.toSwiftReference(value) || value;
+    }
+
+    // `{color.primary800}` -> `Color.primary800`; null for plain values
+    toSwiftReference(value) {
+        const reference = parseReference(value);
+        if (!reference) return null;
+
+        return `${SWIFT_TYPES[reference.category]}.${this.toSwiftName(reference.name)}`;
+    }
+
+    toSwiftName(name) {
+        return toSwiftIdentifier(name);
+    }
+}
+
+module.exports = SwiftTarget;
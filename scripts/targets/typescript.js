@@ -0,0 +1,172 @@
+/**
+ * TypeScript Target
+ *
+ * Typed token module for the token generator: `tokens.ts`, plus an ESM
+ * `tokens.js` with a matching `tokens.d.ts` for JavaScript consumers.
+ * Token names are literal types, so removed tokens fail the build the same
+ * way `Color.primary800` does in Swift. A `package.json` carries the token
+ * release version from `$metadata.version`.
+ */
+
+const { resolveReference } = require('../token-references');
+const { fileHeader } = require('./shared');
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+class TypeScriptTarget {
+    constructor(options = {}) {
+        this.name = 'typescript';
+        this.outputDir = options.outputDir || 'js';
+        this.generatedVia = options.generatedVia || 'Style Dictionary';
+        this.packageName = options.npmPackageName || 'design-system-tokens';
+        this.files = [
+            { name: 'tokens.ts', categories: ['*'], generate: tokens => this.generateTypeScript(tokens) },
+            { name: 'tokens.js', categories: ['*'], generate: tokens => this.generateJavaScript(tokens) },
+            { name: 'tokens.d.ts', categories: ['*'], generate: tokens => this.generateDeclarations(tokens) },
+            { name: 'package.json', categories: ['*'], generate: tokens => this.generatePackageManifest(tokens) }
+        ];
+    }
+
+    generateTypeScript(tokens) {
+        const { values, modes } = this.buildModule(tokens);
+
+        return `${fileHeader('tokens.ts', this.generatedVia)}
+
+export const tokens = ${this.toLiteral(values)} as const;
+
+/** Values that change per Figma mode */
+export const modes = ${this.toLiteral(modes)} as const;
+
+export type Tokens = typeof tokens;
+export type TokenCategory = keyof Tokens;
+${this.categoryNames(values).map(([category, typeName]) => `export type ${typeName} = keyof Tokens['${category}'];`).join('\n')}
+export type TokenMode = keyof typeof modes;
+
+export default tokens;
+`;
+    }
+
+    generateJavaScript(tokens) {
+        const { values, modes } = this.buildModule(tokens);
+
+        return `${fileHeader('tokens.js', this.generatedVia)}
+
+export const tokens = Object.freeze(${this.toLiteral(values)});
+
+/** Values that change per Figma mode */
+export const modes = Object.freeze(${this.toLiteral(modes)});
+
+export default tokens;
+`;
+    }
+
+    generateDeclarations(tokens) {
+        const { values, modes } = this.buildModule(tokens);
+
+        return `${fileHeader('tokens.d.ts', this.generatedVia)}
+
+export declare const tokens: ${this.toType(values)};
+
+/** Values that change per Figma mode */
+export declare const modes: ${this.toType(modes)};
+
+export type Tokens = typeof tokens;
+export type TokenCategory = keyof Tokens;
+${this.categoryNames(values).map(([category, typeName]) => `export type ${typeName} = keyof Tokens['${category}'];`).join('\n')}
+export type TokenMode = keyof typeof modes;
+
+export default tokens;
+`;
+    }
+
+    // npm manifest versioned with the token release, see token-version.js
+    generatePackageManifest(tokens) {
+        const manifest = {
+            name: this.packageName,
+            version: (tokens.$metadata && tokens.$metadata.version) || '1.0.0',
+            description: 'Design tokens generated from Figma Variables',
+            type: 'module',
+            main: 'tokens.js',
+            types: 'tokens.d.ts',
+            sideEffects: false
+        };
+
+        return `${JSON.stringify(manifest, null, 2)}\n`;
+    }
+
+    /**
+     * Plain values for every category, with aliases resolved, and the
+     * per-mode values keyed mode -> category -> name.
+     */
+    buildModule(tokens) {
+        const values = {};
+        const modes = {};
+
+        Object.entries(tokens).forEach(([category, group]) => {
+            if (category.startsWith('$')) return;
+
+            values[category] = {};
+            Object.entries(group).forEach(([name, token]) => {
+                // Private tokens only live on through the aliases resolved to their values
+                if (token.private) return;
+
+                values[category][name] = resolveReference(tokens, token.value);
+
+                Object.keys(token.modes || {}).forEach(mode => {
+                    modes[mode] = modes[mode] || {};
+                    modes[mode][category] = modes[mode][category] || {};
+                    modes[mode][category][name] = resolveReference(tokens, token.modes[mode], mode);
+                });
+            });
+        });
+
+        return { values, modes };
+    }
+
+    // [category, type name] pairs, e.g. ['borderRadius', 'BorderRadiusToken']
+    categoryNames(values) {
+        return Object.keys(values).map(category => [category, `${category.charAt(0).toUpperCase()}${category.slice(1)}Token`]);
+    }
+
+    toKey(key) {
+        return IDENTIFIER.test(key) ? key : `'${key}'`;
+    }
+
+    toLiteral(value, indent = '') {
+        if (Array.isArray(value)) {
+            const inner = `${indent}  `;
+            return `[\n${value.map(child => `${inner}${this.toLiteral(child, inner)}`).join(',\n')}\n${indent}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value).filter(([, child]) => child !== undefined);
+            if (entries.length === 0) return '{}';
+
+            const inner = `${indent}  `;
+            return `{\n${entries.map(([key, child]) => `${inner}${this.toKey(key)}: ${this.toLiteral(child, inner)}`).join(',\n')}\n${indent}}`;
+        }
+
+        return typeof value === 'string'
+            ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`
+            : String(value);
+    }
+
+    toType(value, indent = '') {
+        if (Array.isArray(value)) {
+            const inner = `${indent}  `;
+            return `readonly [\n${value.map(child => `${inner}${this.toType(child, inner)}`).join(',\n')}\n${indent}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value).filter(([, child]) => child !== undefined);
+            if (entries.length === 0) return '{}';
+
+            const inner = `${indent}  `;
+            return `{\n${entries.map(([key, child]) => `${inner}readonly ${this.toKey(key)}: ${this.toType(child, inner)};`).join('\n')}\n${indent}}`;
+        }
+
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+}
+
+module.exports = TypeScriptTarget;
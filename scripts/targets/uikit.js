@@ -0,0 +1,193 @@
+/**
+ * UIKit Target
+ *
+ * UIKit output for the token generator, next to the SwiftUI files in
+ * DesignSystem/Tokens: UIColor extensions with dynamic light/dark providers,
+ * UIFont factories and CGFloat metrics.
+ */
+
+const { parseReference } = require('../token-references');
+const { colorSpaceOf, colorComponents } = require('../token-colors');
+const { toSwiftIdentifier } = require('../token-names');
+const { fileHeader, resolveAppearance, swiftAnnotations, swiftFontWeight, customFontFamily, deprecatedAliases, inlinePrivateReferences } = require('./shared');
+
+class UIKitTarget {
+    constructor(options = {}) {
+        this.name = 'uikit';
+        this.outputDir = options.outputDir || 'DesignSystem/Tokens';
+        this.generatedVia = options.generatedVia || 'Style Dictionary';
+        this.files = [
+            { name: 'UIColors.swift', categories: ['color'], generate: tokens => this.generateColors(tokens) },
+            { name: 'UIFonts.swift', categories: ['typography'], generate: tokens => this.generateFonts(tokens) },
+            { name: 'UIMetrics.swift', categories: ['spacing', 'borderRadius', 'opacity', 'typography'], generate: tokens => this.generateMetrics(tokens) }
+        ].map(file => Object.assign({}, file, {
+            // Private tokens are fileprivate, so other categories' files get their values instead
+            generate: tokens => file.generate(inlinePrivateReferences(tokens))
+        }));
+    }
+
+    header(fileName) {
+        return `${fileHeader(fileName, this.generatedVia)}
+
+import UIKit
+`;
+    }
+
+    generateColors(tokens) {
+        const colors = tokens.color || {};
+        const colorSpace = colorSpaceOf(tokens);
+        let hasAdaptiveColors = false;
+
+        let output = `${this.header('UIColors.swift')}
+extension UIColor {
+`;
+
+        Object.entries(colors).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            const appearance = resolveAppearance(token);
+
+            if (appearance) {
+                hasAdaptiveColors = true;
+                output += `    ${this.access(token)}static let ${swiftName} = UIColor(light: ${this.toUIColor(appearance.light, colorSpace)}, dark: ${this.toUIColor(appearance.dark, colorSpace)})\n`;
+            } else {
+                output += `    ${this.access(token)}static let ${swiftName} = ${this.toUIColor(token.value, colorSpace)}\n`;
+            }
+        });
+
+        deprecatedAliases(tokens, 'color').forEach(({ name, renamed }) => {
+            output += this.deprecation(this.toSwiftName(renamed));
+            output += `    static let ${this.toSwiftName(name)} = UIColor.${this.toSwiftName(renamed)}\n`;
+        });
+
+        output += `}\n`;
+
+        if (hasAdaptiveColors) {
+            output += `
+extension UIColor {
+    /// Dynamic color that resolves to \`light\` or \`dark\` with the trait collection
+    convenience init(light: UIColor, dark: UIColor) {
+        self.init { traits in
+            traits.userInterfaceStyle == .dark ? dark : light
+        }
+    }
+}
+`;
+        }
+
+        return output;
+    }
+
+    generateFonts(tokens) {
+        const typography = tokens.typography || {};
+
+        let output = `${this.header('UIFonts.swift')}
+extension UIFont {
+`;
+
+        Object.entries(typography).forEach(([name, token]) => {
+            const swiftName = this.toSwiftName(name);
+            output += swiftAnnotations(token);
+            const reference = parseReference(token.value);
+            let body;
+
+            if (reference && reference.category === 'typography') {
+                body = `.${this.toSwiftName(reference.name)}(weight: weight)`;
+            } else if (typeof token.value === 'object' && !reference) {
+                const { fontSize, fontWeight } = token.value;
+                const family = customFontFamily(token.value);
+                body = family
+                    ? `UIFont(descriptor: UIFontDescriptor(fontAttributes: [.family: "${family}", .traits: [UIFontDescriptor.TraitKey.weight: weight ?? ${swiftFontWeight(fontWeight)}]]), size: ${fontSize})`
+                    : `.systemFont(ofSize: ${fontSize}, weight: weight ?? ${swiftFontWeight(fontWeight)})`;
+            } else {
+                body = `.systemFont(ofSize: ${this.toSwiftNumber(token.value)}, weight: weight ?? .regular)`;
+            }
+
+            output += `    ${this.access(token)}static func ${swiftName}(weight: UIFont.Weight? = nil) -> UIFont {\n`;
+            output += `        ${body}\n`;
+            output += `    }\n`;
+        });
+
+        deprecatedAliases(tokens, 'typography').forEach(({ name, renamed }) => {
+            output += this.deprecation(this.toSwiftName(renamed));
+            output += `    static func ${this.toSwiftName(name)}(weight: UIFont.Weight? = nil) -> UIFont {\n`;
+            output += `        .${this.toSwiftName(renamed)}(weight: weight)\n`;
+            output += `    }\n`;
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    generateMetrics(tokens) {
+        let output = `${this.header('UIMetrics.swift')}
+extension CGFloat {
+`;
+
+        // Opacity is a CGFloat too, ready for `alpha`
+        ['spacing', 'borderRadius', 'opacity'].forEach(category => {
+            Object.entries(tokens[category] || {}).forEach(([name, token]) => {
+                output += swiftAnnotations(token);
+                output += `    ${this.access(token)}static let ${this.metricName(category, name)}: CGFloat = ${this.toSwiftNumber(token.value)}\n`;
+            });
+
+            deprecatedAliases(tokens, category).forEach(({ name, renamed }) => {
+                output += this.deprecation(this.metricName(category, renamed));
+                output += `    static let ${this.metricName(category, name)}: CGFloat = .${this.metricName(category, renamed)}\n`;
+            });
+        });
+
+        // UIFont has no line height or tracking, so composite typography exposes them as metrics
+        Object.entries(tokens.typography || {}).forEach(([name, token]) => {
+            if (!token.value || typeof token.value !== 'object') return;
+
+            if (token.value.lineHeight) {
+                output += `    ${this.access(token)}static let ${this.metricName('typography', name)}LineHeight: CGFloat = ${token.value.lineHeight}\n`;
+            }
+            if (token.value.letterSpacing) {
+                output += `    ${this.access(token)}static let ${this.metricName('typography', name)}LetterSpacing: CGFloat = ${token.value.letterSpacing}\n`;
+            }
+        });
+
+        output += `}\n`;
+        return output;
+    }
+
+    // Private tokens (hidden from publishing in Figma) stay out of the public token API
+    access(token) {
+        return token.private ? 'fileprivate ' : '';
+    }
+
+    // Marks the following declaration as the old name of `renamed`
+    deprecation(renamed) {
+        return `    @available(*, deprecated, renamed: "${renamed.replace(/`/g, '')}")\n`;
+    }
+
+    toUIColor(value, colorSpace = 'srgb') {
+        const reference = parseReference(value);
+        if (reference) {
+            return `UIColor.${this.toSwiftName(reference.name)}`;
+        }
+
+        const { red, green, blue, alpha } = colorComponents(value);
+        const initializer = colorSpace === 'display-p3' ? 'displayP3Red' : 'red';
+        return `UIColor(${initializer}: ${red}, green: ${green}, blue: ${blue}, alpha: ${alpha})`;
+    }
+
+    // `{spacing.m}` -> `.spacingM`, a sibling CGFloat metric
+    toSwiftNumber(value) {
+        const reference = parseReference(value);
+        return reference ? `.${this.metricName(reference.category, reference.name)}` : value;
+    }
+
+    // Metrics share one CGFloat namespace, so they are prefixed by category: `spacingM`
+    metricName(category, name) {
+        return `${category}${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+    }
+
+    toSwiftName(name) {
+        return toSwiftIdentifier(name);
+    }
+}
+
+module.exports = UIKitTarget;
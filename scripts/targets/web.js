@@ -0,0 +1,346 @@
+/**
+ * Web Target
+ *
+ * Web output for the token generator: CSS custom properties with a block per
+ * Figma mode, an SCSS variable map and a Tailwind preset that points at the
+ * CSS variables, so themes switch without rebuilding.
+ */
+
+const { parseReference, resolveReference } = require('../token-references');
+const { parseHexColor, colorSpaceOf, colorComponents } = require('../token-colors');
+const { fileHeader, shadowLayers, inReferenceOrder } = require('./shared');
+
+const CATEGORIES = ['color', 'typography', 'spacing', 'borderRadius', 'shadow', 'gradient', 'opacity', 'boolean', 'string'];
+
+// Composite typography properties and the CSS variable suffix of each
+const TYPOGRAPHY_PROPERTIES = [
+    ['fontFamily', 'font-family'],
+    ['fontSize', 'font-size'],
+    ['fontWeight', 'font-weight'],
+    ['lineHeight', 'line-height'],
+    ['letterSpacing', 'letter-spacing'],
+    ['textCase', 'text-transform'],
+    ['textDecoration', 'text-decoration']
+];
+
+// Tailwind theme key for each token category
+const TAILWIND_KEYS = {
+    color: 'colors',
+    spacing: 'spacing',
+    borderRadius: 'borderRadius',
+    shadow: 'boxShadow',
+    gradient: 'backgroundImage',
+    opacity: 'opacity'
+};
+
+class WebTarget {
+    constructor(options = {}) {
+        this.name = 'web';
+        this.outputDir = options.outputDir || 'web/tokens';
+        this.generatedVia = options.generatedVia || 'Style Dictionary';
+        this.files = [
+            { name: 'tokens.css', categories: CATEGORIES, generate: tokens => this.generateCSS(tokens) },
+            { name: '_tokens.scss', categories: CATEGORIES, generate: tokens => this.generateSCSS(tokens) },
+            { name: 'tailwind.preset.js', categories: CATEGORIES, generate: tokens => this.generateTailwind(tokens) }
+        ];
+    }
+
+    generateCSS(tokens) {
+        const modes = this.collectModes(tokens);
+
+        let output = `${fileHeader('tokens.css', this.generatedVia, 'block')}
+
+:root {
+${this.cssDeclarations(tokens).join('\n')}
+}
+`;
+
+        // Dark mode follows the system unless a theme is picked explicitly
+        const darkMode = modes.find(mode => mode.includes('dark'));
+        if (darkMode) {
+            output += `
+@media (prefers-color-scheme: dark) {
+  :root:not([data-theme]) {
+${this.cssDeclarations(tokens, darkMode).map(line => `  ${line}`).join('\n')}
+  }
+}
+`;
+        }
+
+        modes.forEach(mode => {
+            output += `
+[data-theme="${mode}"] {
+${this.cssDeclarations(tokens, mode).join('\n')}
+}
+`;
+        });
+
+        return output;
+    }
+
+    generateSCSS(tokens) {
+        const entries = inReferenceOrder(tokens, CATEGORIES);
+
+        let output = `${fileHeader('_tokens.scss', this.generatedVia)}
+
+`;
+
+        entries.forEach(({ category, name, token }) => {
+            this.flatten(tokens, category, name, token.value).forEach(([variable, value]) => {
+                output += `$${variable}: ${this.toSCSSValue(tokens, category, value)};\n`;
+            });
+        });
+
+        output += `\n$tokens: (\n`;
+        CATEGORIES.forEach(category => {
+            output += `  '${this.toKebabCase(category)}': (\n`;
+            Object.entries(tokens[category] || {}).forEach(([name, token]) => {
+                this.flatten(tokens, category, name, token.value).forEach(([variable]) => {
+                    output += `    '${variable.slice(this.toKebabCase(category).length + 1)}': $${variable},\n`;
+                });
+            });
+            output += `  ),\n`;
+        });
+        output += `);\n`;
+
+        const modes = this.collectModes(tokens);
+        if (modes.length > 0) {
+            output += `\n// Values that change per Figma mode\n$token-modes: (\n`;
+            modes.forEach(mode => {
+                output += `  '${mode}': (\n`;
+                this.modeEntries(tokens, mode).forEach(({ category, name, value }) => {
+                    this.flatten(tokens, category, name, resolveReference(tokens, value, mode)).forEach(([variable, flatValue]) => {
+                        output += `    '${variable}': ${this.toCSSValue(tokens, category, flatValue)},\n`;
+                    });
+                });
+                output += `  ),\n`;
+            });
+            output += `);\n`;
+        }
+
+        return output;
+    }
+
+    generateTailwind(tokens) {
+        const extend = {};
+
+        Object.entries(TAILWIND_KEYS).forEach(([category, key]) => {
+            const group = tokens[category] || {};
+            if (Object.keys(group).length === 0) return;
+
+            extend[key] = {};
+            Object.entries(group).forEach(([name, token]) => {
+                // Private tokens keep their CSS variable for var() chains but get no utility class
+                if (token.private) return;
+                extend[key][this.toKebabCase(name)] = `var(--${this.cssVariable(category, name)})`;
+            });
+        });
+
+        const typography = tokens.typography || {};
+        if (Object.keys(typography).length > 0) {
+            extend.fontSize = {};
+            Object.entries(typography).forEach(([name, token]) => {
+                if (token.private) return;
+
+                const resolved = resolveReference(tokens, token.value);
+                const variable = this.cssVariable('typography', name);
+
+                if (typeof resolved === 'object') {
+                    const options = {};
+                    if (resolved.lineHeight) options.lineHeight = `var(--${variable}-line-height)`;
+                    if (resolved.letterSpacing) options.letterSpacing = `var(--${variable}-letter-spacing)`;
+                    if (resolved.fontWeight) options.fontWeight = `var(--${variable}-font-weight)`;
+                    extend.fontSize[this.toKebabCase(name)] = [`var(--${variable}-font-size)`, options];
+                } else {
+                    extend.fontSize[this.toKebabCase(name)] = `var(--${variable})`;
+                }
+            });
+        }
+
+        return `${fileHeader('tailwind.preset.js', this.generatedVia)}
+//  Usage: presets: [require('./web/tokens/tailwind.preset.js')] in tailwind.config.js
+//  Values point at the variables in tokens.css, so import that stylesheet too.
+//
+
+module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};
+`;
+    }
+
+    // Every mode name used by any token, in first-seen order
+    collectModes(tokens) {
+        const modes = [];
+
+        CATEGORIES.forEach(category => {
+            Object.values(tokens[category] || {}).forEach(token => {
+                Object.keys(token.modes || {}).forEach(mode => {
+                    if (!modes.includes(mode)) modes.push(mode);
+                });
+            });
+        });
+
+        return modes;
+    }
+
+    // Tokens that have a value for `mode`: [{ category, name, value }]
+    modeEntries(tokens, mode) {
+        const entries = [];
+
+        CATEGORIES.forEach(category => {
+            Object.entries(tokens[category] || {}).forEach(([name, token]) => {
+                if (token.modes && mode in token.modes) {
+                    entries.push({ category, name, value: token.modes[mode] });
+                }
+            });
+        });
+
+        return entries;
+    }
+
+    // `--name: value;` lines for the default values, or for the tokens that define `mode`
+    cssDeclarations(tokens, mode) {
+        const entries = mode
+            ? this.modeEntries(tokens, mode)
+            : CATEGORIES.flatMap(category => Object.entries(tokens[category] || {})
+                .map(([name, token]) => ({ category, name, value: token.value })));
+
+        return entries.flatMap(({ category, name, value }) => this.flatten(tokens, category, name, value)
+            .map(([variable, flatValue]) => `  --${variable}: ${this.toCSSValue(tokens, category, flatValue)};`));
+    }
+
+    /**
+     * Split a token into [variable name, value] pairs. Composite typography
+     * becomes one variable per property (aliases to it point at each of the
+     * target's properties); everything else is a single variable.
+     */
+    flatten(tokens, category, name, value) {
+        const variable = this.cssVariable(category, name);
+        if (category !== 'typography') return [[variable, value]];
+
+        const reference = parseReference(value);
+        const resolved = reference ? resolveReference(tokens, value) : value;
+        if (!resolved || typeof resolved !== 'object') return [[variable, value]];
+
+        return TYPOGRAPHY_PROPERTIES
+            .filter(([property]) => resolved[property] !== undefined)
+            .map(([property, suffix]) => [
+                `${variable}-${suffix}`,
+                reference
+                    ? { property, alias: `${this.cssVariable(reference.category, reference.name)}-${suffix}` }
+                    : { property, value: resolved[property] }
+            ]);
+    }
+
+    toCSSValue(tokens, category, value) {
+        const reference = parseReference(value);
+        if (reference) {
+            return `var(--${this.cssVariable(reference.category, reference.name)})`;
+        }
+
+        if (value && typeof value === 'object' && 'property' in value) {
+            if (value.alias) return `var(--${value.alias})`;
+            if (value.property === 'fontWeight') return this.toCSSFontWeight(value.value);
+            if (value.property === 'fontFamily') return `"${value.value}"`;
+            if (typeof value.value === 'string') return value.value;
+            return `${value.value}px`;
+        }
+
+        switch (category) {
+            case 'color':
+                return colorSpaceOf(tokens) === 'display-p3' ? this.toCSSColor(value, 'display-p3') : value;
+            case 'spacing':
+            case 'borderRadius':
+            case 'typography':
+                return `${value}px`;
+            case 'shadow':
+                return this.toCSSShadow(value, colorSpaceOf(tokens));
+            case 'gradient':
+                return this.toCSSGradient(value, colorSpaceOf(tokens));
+            case 'boolean':
+                return String(value);
+            case 'string':
+                return this.toCSSString(value);
+            default:
+                return value;
+        }
+    }
+
+    toSCSSValue(tokens, category, value) {
+        const reference = parseReference(value);
+        if (reference) {
+            return `$${this.cssVariable(reference.category, reference.name)}`;
+        }
+
+        if (value && typeof value === 'object' && value.alias) {
+            return `$${value.alias}`;
+        }
+
+        return this.toCSSValue(tokens, category, value);
+    }
+
+    // Every layer of a shadow, comma-separated like box-shadow expects
+    toCSSShadow(value, colorSpace) {
+        return shadowLayers(value).map(({ offset, blur, spread = 0, color, opacity, inset }) => {
+            return `${inset ? 'inset ' : ''}${offset.x}px ${offset.y}px ${blur}px ${spread}px ${this.toCSSColor(color, colorSpace, opacity)}`;
+        }).join(', ');
+    }
+
+    // Figma's angle already follows CSS (0deg points up); radial sizes are fractions of the element
+    toCSSGradient({ type, angle, center, radius, stops }, colorSpace) {
+        const colorStops = stops.map(({ position, color, opacity }) => `${this.toCSSColor(color, colorSpace, opacity)} ${this.toPercent(position)}`).join(', ');
+
+        if (type === 'radial') {
+            return `radial-gradient(${this.toPercent(radius.x)} ${this.toPercent(radius.y)} at ${this.toPercent(center.x)} ${this.toPercent(center.y)}, ${colorStops})`;
+        }
+        return `linear-gradient(${angle}deg, ${colorStops})`;
+    }
+
+    // rgba() for sRGB; Display P3 colors keep their wider gamut through color()
+    toCSSColor(value, colorSpace, opacity = 1) {
+        if (colorSpace === 'display-p3') {
+            const { red, green, blue, alpha } = colorComponents(value);
+            const combined = Math.round(alpha * opacity * 1000) / 1000;
+            return `color(display-p3 ${red} ${green} ${blue}${combined < 1 ? ` / ${combined}` : ''})`;
+        }
+
+        const { r, g, b, a } = parseHexColor(value);
+        return `rgba(${r}, ${g}, ${b}, ${Math.round(a * opacity * 1000) / 1000})`;
+    }
+
+    // Quoted CSS string; SCSS reads the same escapes, and `\#{` keeps it from interpolating
+    toCSSString(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\A ').replace(/#\{/g, '\\#{')}"`;
+    }
+
+    toPercent(fraction) {
+        return `${Math.round(fraction * 1000) / 10}%`;
+    }
+
+    toCSSFontWeight(weight) {
+        const weights = {
+            thin: 100,
+            ultralight: 200,
+            extralight: 200,
+            light: 300,
+            regular: 400,
+            normal: 400,
+            medium: 500,
+            semibold: 600,
+            bold: 700,
+            heavy: 800,
+            extrabold: 800,
+            black: 900
+        };
+
+        return weights[String(weight).toLowerCase().replace(/[^a-z]/g, '')] || weight;
+    }
+
+    cssVariable(category, name) {
+        return `${this.toKebabCase(category)}-${this.toKebabCase(name)}`;
+    }
+
+    toKebabCase(name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+}
+
+module.exports = WebTarget;
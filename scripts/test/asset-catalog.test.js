@@ -0,0 +1,66 @@
+/**
+ * Asset catalog output and the generator config that turns it on.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const SwiftTarget = require('../targets/swift');
+const { parseOptions } = require('../generate-swift');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/color-tokens.json');
+const CONFIG_PATH = path.join(__dirname, 'fixtures/token-generator.json');
+
+function renderFiles(options) {
+    const generator = new TokenGenerator({ inputPath: FIXTURE_PATH });
+    generator.registerTarget(new SwiftTarget(options));
+    return Object.fromEntries(generator.render().map(({ name, content }) => [name, content]));
+}
+
+test('colors read their colorset from the main bundle by default', () => {
+    const colors = renderFiles({ assetCatalog: true })['Colors.swift'];
+
+    assert.match(colors, /static let primary500 = Color\("primary500", bundle: \.main\)\n/);
+    assert.match(colors, /static let ink = Color\("ink", bundle: \.main\)\n/);
+    // Plain aliases keep pointing at their target
+    assert.match(colors, /static let action = Color\.primary500\n/);
+});
+
+test('the bundle is configurable for Swift packages', () => {
+    const colors = renderFiles({ assetCatalog: true, bundle: '.module' })['Colors.swift'];
+
+    assert.match(colors, /static let primary500 = Color\("primary500", bundle: \.module\)\n/);
+});
+
+test('every color gets a colorset, with a dark appearance when it has a dark mode', () => {
+    const files = renderFiles({ assetCatalog: true });
+
+    assert.deepEqual(JSON.parse(files['DesignTokens.xcassets/Contents.json']), { info: { author: 'xcode', version: 1 } });
+
+    const primary = JSON.parse(files['DesignTokens.xcassets/primary500.colorset/Contents.json']);
+    assert.equal(primary.colors.length, 2);
+    assert.deepEqual(primary.colors[0].color.components, { alpha: '1.000', blue: '0xFF', green: '0x66', red: '0x33' });
+    assert.deepEqual(primary.colors[1].appearances, [{ appearance: 'luminosity', value: 'dark' }]);
+    assert.deepEqual(primary.colors[1].color.components, { alpha: '1.000', blue: '0xFF', green: '0xBB', red: '0x99' });
+
+    const overlay = JSON.parse(files['DesignTokens.xcassets/overlay.colorset/Contents.json']);
+    assert.equal(overlay.colors.length, 1);
+    assert.equal(overlay.colors[0].color.components.alpha, '0.502');
+});
+
+test('without the catalog, colors are inline and no colorsets are written', () => {
+    const files = renderFiles({});
+
+    assert.match(files['Colors.swift'], /static let ink = Color\(hex: "#102030"\)\n/);
+    assert.ok(!Object.keys(files).some(name => name.includes('.xcassets')));
+});
+
+test('generator options come from the config file, with flags on top', () => {
+    assert.deepEqual(parseOptions(['node', 'generate-swift.js', '--config', CONFIG_PATH]), { bundle: '.module' });
+    assert.deepEqual(parseOptions(['node', 'generate-swift.js', '--config', CONFIG_PATH, '--asset-catalog']), { bundle: '.module', assetCatalog: true });
+});
+
+test('CI and sync-plugin read the repo config', () => {
+    assert.deepEqual(parseOptions(['node', 'generate-swift.js']), require('../../tokens/token-generator.json'));
+});
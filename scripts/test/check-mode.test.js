@@ -0,0 +1,95 @@
+/**
+ * Deterministic output and the --check drift detection.
+ *
+ * Files are generated into a temporary output root that is removed afterwards.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const TokenGenerator = require('../token-generator');
+const SwiftTarget = require('../targets/swift');
+const { fileHeader, stampContentHash } = require('../targets/shared');
+const { unifiedDiff } = require('../text-diff');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/color-tokens.json');
+
+function createGenerator(outputRoot) {
+    return new TokenGenerator({ inputPath: FIXTURE_PATH, outputRoot }).registerTarget(new SwiftTarget({ assetCatalog: true }));
+}
+
+function withOutputRoot(run) {
+    const outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'token-check-'));
+    try {
+        run(outputRoot);
+    } finally {
+        fs.rmSync(outputRoot, { recursive: true, force: true });
+    }
+}
+
+test('headers carry a content hash instead of a timestamp', () => {
+    const content = `${fileHeader('Colors.swift', 'Style Dictionary')}\n\nlet x = 1\n`;
+    const stamped = stampContentHash(content);
+
+    assert.match(stamped, /^\/\/  Content hash: [0-9a-f]{12}$/m);
+    assert.doesNotMatch(stamped, /Last updated/);
+    assert.equal(stampContentHash(content), stamped);
+    assert.notEqual(stampContentHash(content.replace('1', '2')), stamped);
+});
+
+test('rendering twice produces identical files', () => {
+    const first = createGenerator('/out').render();
+    const second = createGenerator('/out').render();
+
+    assert.deepEqual(second.map(file => file.content), first.map(file => file.content));
+});
+
+test('check finds nothing after generating', () => {
+    withOutputRoot(outputRoot => {
+        createGenerator(outputRoot).generateAll();
+
+        assert.deepEqual(createGenerator(outputRoot).check(), []);
+    });
+});
+
+test('check reports changed, missing and stale files without writing', () => {
+    withOutputRoot(outputRoot => {
+        createGenerator(outputRoot).generateAll();
+
+        const tokensDir = path.join(outputRoot, 'DesignSystem/Tokens');
+        const colorsPath = path.join(tokensDir, 'Colors.swift');
+        const edited = fs.readFileSync(colorsPath, 'utf8').replace('primary500', 'primary600');
+        fs.writeFileSync(colorsPath, edited);
+        fs.rmSync(path.join(tokensDir, 'Spacing.swift'));
+        fs.mkdirSync(path.join(tokensDir, 'DesignTokens.xcassets/removed.colorset'));
+        fs.writeFileSync(path.join(tokensDir, 'DesignTokens.xcassets/removed.colorset/Contents.json'), '{}\n');
+
+        const drift = createGenerator(outputRoot).check();
+
+        assert.deepEqual(drift, [
+            { name: 'Colors.swift', target: 'swift', status: 'changed' },
+            { name: 'Spacing.swift', target: 'swift', status: 'missing' },
+            { name: 'Contents.json', target: 'swift', status: 'stale' }
+        ]);
+        assert.equal(fs.readFileSync(colorsPath, 'utf8'), edited);
+        assert.equal(fs.existsSync(path.join(tokensDir, 'Spacing.swift')), false);
+    });
+});
+
+test('drift is printed as a unified diff', () => {
+    assert.equal(
+        unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'a/x.swift', toFile: 'b/x.swift' }),
+        '--- a/x.swift\n+++ b/x.swift\n@@ -1,4 +1,4 @@\n a\n-b\n+B\n c\n '
+    );
+    assert.equal(unifiedDiff('same\n', 'same\n'), '');
+});
+
+test('the committed generated files are up to date', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '../generate-swift.js'), '--check'], { encoding: 'utf8' });
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /✅ Generated files are up to date/);
+});
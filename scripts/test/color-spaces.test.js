@@ -0,0 +1,111 @@
+/**
+ * Translucent colors and the Display P3 color space through every target.
+ *
+ * Renders test/fixtures/display-p3-tokens.json, and color-tokens.json for
+ * sRGB, in memory, so nothing is written to the repo.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { transformVariablesToTokens } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { validateTokens } = require('../validate-tokens');
+const { parseHexColor, colorSpaceOf, colorComponents } = require('../token-colors');
+
+process.env.FIGMA_ACCESS_TOKEN = process.env.FIGMA_ACCESS_TOKEN || 'test-token';
+process.env.FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'test-file';
+const FigmaSync = require('../sync-figma');
+
+// Rendered content of every generated file for a fixture, keyed by "<target>/<file name>"
+function render(fixture, options = {}) {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures', fixture) });
+    Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget(options)));
+    return Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+}
+
+const p3 = render('display-p3-tokens.json');
+const srgb = render('color-tokens.json');
+
+test('hex colors parse with their alpha byte', () => {
+    assert.deepEqual(parseHexColor('#00000080'), { r: 0, g: 0, b: 0, a: 0.502 });
+    assert.deepEqual(parseHexColor('#f30'), { r: 255, g: 51, b: 0, a: 1 });
+    assert.equal(parseHexColor('rgba(0, 0, 0, 0.5)'), null);
+    assert.deepEqual(colorComponents('#ff800080'), { red: 1, green: 0.502, blue: 0, alpha: 0.502 });
+});
+
+test('the color space comes from the metadata and defaults to sRGB', () => {
+    assert.equal(colorSpaceOf({ $metadata: { colorSpace: 'display-p3' } }), 'display-p3');
+    assert.equal(colorSpaceOf({ $metadata: {} }), 'srgb');
+    assert.equal(colorSpaceOf({}), 'srgb');
+});
+
+test('translucent Figma colors keep their alpha as a fourth hex byte', () => {
+    const collection = { id: 'c1', name: 'Colors', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const tokens = transformVariablesToTokens([
+        { id: 'v1', key: 'k1', name: 'veil', resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: { r: 0, g: 0, b: 0, a: 0.5 } }, scopes: [] },
+        { id: 'v2', key: 'k2', name: 'vivid', resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: { r: 1, g: 0.2, b: 0, a: 1 } }, scopes: [] }
+    ], [collection]);
+
+    assert.equal(tokens.color.veil.value, '#00000080');
+    assert.equal(tokens.color.vivid.value, '#ff3300');
+
+    const sync = new FigmaSync();
+    assert.equal(sync.colorToHex({ r: 0, g: 0, b: 0, a: 0.5 }), '#00000080');
+    assert.equal(sync.colorToHex({ r: 1, g: 0.2, b: 0, a: 1 }), '#ff3300');
+});
+
+test('SwiftUI colors use the document\'s color space', () => {
+    const colors = render('display-p3-tokens.json', { assetCatalog: false })['swift/Colors.swift'];
+    assert.match(colors, /static let vivid = Color\(\.displayP3, red: 1, green: 0\.2, blue: 0\)\n/);
+    assert.match(colors, /static let veil = Color\(\.displayP3, red: 0, green: 0, blue: 0, opacity: 0\.502\)\n/);
+    assert.match(colors, /dark: Color\(\.displayP3, red: 0\.102, green: 0\.102, blue: 0\.102, opacity: 0\.8\)\)\n/);
+
+    // Opaque sRGB colors keep the hex initializer
+    const srgbColors = render('color-tokens.json', { assetCatalog: false })['swift/Colors.swift'];
+    assert.match(srgbColors, /static let ink = Color\(hex: "#102030"\)\n/);
+    assert.match(srgbColors, /static let overlay = Color\(\.sRGB, red: 0, green: 0, blue: 0, opacity: 0\.502\)\n/);
+});
+
+test('asset catalog colorsets record the color space', () => {
+    const catalog = render('display-p3-tokens.json', { assetCatalog: true });
+    const veil = JSON.parse(catalog['swift/DesignTokens.xcassets/veil.colorset/Contents.json']);
+    assert.equal(veil.colors[0].color['color-space'], 'display-p3');
+    assert.equal(veil.colors[0].color.components.alpha, '0.502');
+
+    const overlay = JSON.parse(render('color-tokens.json', { assetCatalog: true })['swift/DesignTokens.xcassets/overlay.colorset/Contents.json']);
+    assert.equal(overlay.colors[0].color['color-space'], 'srgb');
+});
+
+test('UIKit uses the Display P3 initializer', () => {
+    assert.match(p3['uikit/UIColors.swift'], /static let veil = UIColor\(displayP3Red: 0, green: 0, blue: 0, alpha: 0\.502\)\n/);
+    assert.match(srgb['uikit/UIColors.swift'], /static let overlay = UIColor\(red: 0, green: 0, blue: 0, alpha: 0\.502\)\n/);
+});
+
+test('Compose colors are ARGB, or components in the DisplayP3 color space', () => {
+    const kotlin = p3['kotlin/Color.kt'];
+    assert.match(kotlin, /^import androidx\.compose\.ui\.graphics\.colorspace\.ColorSpaces$/m);
+    assert.match(kotlin, /val veil = Color\(red = 0f, green = 0f, blue = 0f, alpha = 0\.502f, colorSpace = ColorSpaces\.DisplayP3\)\n/);
+
+    // Alpha comes first in an ARGB literal
+    assert.match(srgb['kotlin/Color.kt'], /val overlay = Color\(0x80000000\)\n/);
+    assert.doesNotMatch(srgb['kotlin/Color.kt'], /ColorSpaces/);
+});
+
+test('CSS uses color(display-p3 ...) for Display P3 documents', () => {
+    const css = p3['web/tokens.css'];
+    assert.match(css, /--color-vivid: color\(display-p3 1 0\.2 0\);/);
+    assert.match(css, /--color-veil: color\(display-p3 0 0 0 \/ 0\.502\);/);
+    assert.match(css, /--color-canvas: color\(display-p3 0\.102 0\.102 0\.102 \/ 0\.8\);/);
+
+    assert.match(srgb['web/tokens.css'], /--color-overlay: #00000080;/);
+});
+
+test('validation rejects unknown color spaces', () => {
+    const errors = validateTokens({ $metadata: { colorSpace: 'adobe-rgb' }, color: { ink: { value: '#000000', type: 'color' } } });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /\$metadata\.colorSpace: expected one of srgb, display-p3, got/);
+    assert.deepEqual(validateTokens({ $metadata: { colorSpace: 'display-p3' }, color: { ink: { value: '#00000080', type: 'color' } } }), []);
+});
@@ -0,0 +1,121 @@
+/**
+ * Opacity, feature flag and string tokens through every target.
+ *
+ * Renders test/fixtures/constant-tokens.json in memory, so nothing is
+ * written to the repo.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { validateTokens } = require('../validate-tokens');
+const { toDTCG, fromDTCG } = require('../token-formats');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/constant-tokens.json');
+
+// Generator for the fixture with every default target registered
+function createGenerator() {
+    const generator = new TokenGenerator({ inputPath: FIXTURE_PATH });
+    Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+    return generator;
+}
+
+// Rendered content of every generated file, keyed by "<target>/<file name>"
+const files = Object.fromEntries(createGenerator().render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+test('every category has an output target', () => {
+    assert.deepEqual(createGenerator().uncoveredCategories(), []);
+});
+
+test('Swift gets Opacity, FeatureFlags and DesignStrings constants', () => {
+    const opacity = files['swift/Opacity.swift'];
+    assert.match(opacity, /struct Opacity \{/);
+    assert.match(opacity, /\/\/\/ Disabled controls\n {4}static let disabled: Double = 0\.4\n/);
+    assert.match(opacity, /static let muted: Double = Opacity\.disabled\n/);
+
+    const flags = files['swift/FeatureFlags.swift'];
+    assert.match(flags, /static let newCheckout: Bool = true\n/);
+    assert.match(flags, /fileprivate static let betaBanner: Bool = false\n/);
+
+    const strings = files['swift/DesignStrings.swift'];
+    assert.match(strings, /static let brandName: String = "Acme \\"Pro\\""\n/);
+    assert.ok(strings.includes('static let tagline: String = "Line one\\nCost: $5 \\\\ it\'s"\n'));
+    assert.match(strings, /static let title: String = DesignStrings\.brandName\n/);
+});
+
+test('UIKit gets opacity as CGFloat metrics', () => {
+    const metrics = files['uikit/UIMetrics.swift'];
+    assert.match(metrics, /static let opacityDisabled: CGFloat = 0\.4\n/);
+    assert.match(metrics, /static let opacityMuted: CGFloat = \.opacityDisabled\n/);
+});
+
+test('Kotlin gets Opacity, FeatureFlags and DesignStrings objects', () => {
+    const opacity = files['kotlin/Opacity.kt'];
+    assert.match(opacity, /object Opacity \{\n {4}val disabled = 0\.4f\n {4}val muted = Opacity\.disabled\n/);
+    assert.doesNotMatch(opacity, /^import /m);
+
+    const flags = files['kotlin/FeatureFlags.kt'];
+    assert.match(flags, /internal val betaBanner = false\n/);
+    assert.match(flags, /val newCheckout = true\n/);
+
+    // `$` starts a string template in Kotlin
+    const strings = files['kotlin/Strings.kt'];
+    assert.ok(strings.includes('val tagline = "Line one\\nCost: \\$5 \\\\ it\'s"\n'));
+    assert.match(strings, /val title = DesignStrings\.brandName\n/);
+});
+
+test('references into another category are inlined with the constant\'s type', () => {
+    assert.match(files['swift/Opacity.swift'], /static let scrim: Double = 0\.5\n/);
+    assert.match(files['swift/DesignStrings.swift'], /static let brandColor: String = "#112233"\n/);
+    assert.match(files['kotlin/Opacity.kt'], /val scrim = 0\.5f\n/);
+    assert.match(files['kotlin/Strings.kt'], /val brandColor = "#112233"\n/);
+
+    // UIKit metrics are all CGFloat, so they can keep the reference
+    assert.match(files['uikit/UIMetrics.swift'], /static let opacityScrim: CGFloat = \.spacingHalf\n/);
+});
+
+test('web gets opacity, boolean and string custom properties', () => {
+    const css = files['web/tokens.css'];
+    assert.match(css, /--opacity-disabled: 0\.4;/);
+    assert.match(css, /--opacity-muted: var\(--opacity-disabled\);/);
+    assert.match(css, /--boolean-new-checkout: true;/);
+    assert.match(css, /--string-brand-name: "Acme \\"Pro\\"";/);
+    assert.ok(css.includes('--string-tagline: "Line one\\A Cost: $5 \\\\ it\'s";'));
+    assert.match(css, /--string-title: var\(--string-brand-name\);/);
+
+    assert.match(files['web/_tokens.scss'], /\$boolean-new-checkout: true;/);
+    assert.match(files['web/tailwind.preset.js'], /"opacity": \{\n\s+"disabled": "var\(--opacity-disabled\)"/);
+});
+
+test('TypeScript exports booleans and escaped strings', () => {
+    const module = files['typescript/tokens.ts'];
+    assert.match(module, /newCheckout: true/);
+    assert.ok(module.includes('tagline: \'Line one\\nCost: $5 \\\\ it\\\'s\''));
+    assert.match(module, /export type BooleanToken = keyof Tokens\['boolean'\];/);
+    assert.match(module, /export type StringToken = keyof Tokens\['string'\];/);
+});
+
+test('validation rejects booleans and strings of the wrong type', () => {
+    const errors = validateTokens({
+        boolean: { flag: { value: 'yes', type: 'boolean' } },
+        string: { label: { value: 12, type: 'string' } }
+    });
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /boolean\.flag.*true or false/);
+    assert.match(errors[1], /string\.label.*a string/);
+});
+
+test('string tokens keep numeric-looking values through DTCG', () => {
+    const tokens = {
+        string: { code: { value: '12', type: 'string' }, size: { value: '8px', type: 'string' } },
+        boolean: { flag: { value: false, type: 'boolean' } }
+    };
+    const roundTrip = fromDTCG(toDTCG(tokens));
+
+    assert.equal(roundTrip.string.code.value, '12');
+    assert.equal(roundTrip.string.size.value, '8px');
+    assert.equal(roundTrip.boolean.flag.value, false);
+});
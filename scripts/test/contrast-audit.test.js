@@ -0,0 +1,103 @@
+/**
+ * WCAG contrast audit of foreground/background color pairs.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEVELS, contrastRatio, findPairs, auditContrast, toMatrix, toHTML } = require('../contrast-audit');
+
+const TOKENS = {
+    color: {
+        buttonForeground: { value: '#ffffff', type: 'color', modes: { light: '#ffffff', dark: '#000000' } },
+        buttonBackground: { value: '#3366ff', type: 'color', modes: { light: '#3366ff', dark: '#99bbff' } },
+        foregroundMuted: { value: '#767676', type: 'color' },
+        backgroundMuted: { value: '{color.paper}', type: 'color' },
+        hintForeground: { value: '#777777', type: 'color' },
+        paper: { value: '#ffffff', type: 'color' }
+    }
+};
+
+test('contrast ratios follow WCAG 2.x', () => {
+    assert.equal(contrastRatio('#000000', '#ffffff'), 21);
+    assert.equal(contrastRatio('#ffffff', '#000000'), 21);
+    assert.equal(contrastRatio('#767676', '#ffffff'), 4.54);
+    assert.equal(contrastRatio('#777777', '#ffffff'), 4.48);
+});
+
+test('translucent colors are composited before they are compared', () => {
+    // 50% black over white is mid gray
+    assert.equal(contrastRatio('#00000080', '#ffffff'), 4);
+    // A translucent background is drawn over white first
+    assert.equal(contrastRatio('#000000', '#00000080'), 5.24);
+});
+
+test('Display P3 colors use the P3 primaries', () => {
+    assert.equal(contrastRatio('#00ff00', '#000000'), 15.3);
+    assert.equal(contrastRatio('#00ff00', '#000000', 'display-p3'), 14.83);
+});
+
+test('pairs come from the Foreground/Background naming convention', () => {
+    assert.deepEqual(findPairs(TOKENS, null), [
+        { foreground: 'buttonForeground', background: 'buttonBackground', level: 'AA', required: true },
+        { foreground: 'foregroundMuted', background: 'backgroundMuted', level: 'AA', required: true }
+    ]);
+});
+
+test('the pairing file adds pairs and overrides the convention\'s level', () => {
+    const pairs = findPairs(TOKENS, {
+        pairs: [
+            { foreground: 'buttonForeground', background: 'buttonBackground', level: 'AA-large' },
+            { foreground: 'hintForeground', background: 'paper', required: false }
+        ]
+    });
+
+    assert.deepEqual(pairs, [
+        { foreground: 'buttonForeground', background: 'buttonBackground', level: 'AA-large', required: true },
+        { foreground: 'hintForeground', background: 'paper', level: 'AA', required: false },
+        { foreground: 'foregroundMuted', background: 'backgroundMuted', level: 'AA', required: true }
+    ]);
+});
+
+test('the pairing file must name known tokens and levels', () => {
+    assert.throws(() => findPairs(TOKENS, { pairs: [{ foreground: 'missing', background: 'paper' }] }), /pairs\[0\]\.foreground: no color token named "missing"/);
+    assert.throws(() => findPairs(TOKENS, { pairs: [{ foreground: 'paper', background: 'paper', level: 'AAAA' }] }), /pairs\[0\]\.level: expected one of AA, AA-large, AAA, AAA-large/);
+    assert.deepEqual(Object.keys(LEVELS), ['AA', 'AA-large', 'AAA', 'AAA-large']);
+});
+
+test('every pair is checked in every mode', () => {
+    const audit = auditContrast(TOKENS, findPairs(TOKENS, null));
+    const [button, muted] = audit.pairs;
+
+    assert.equal(audit.colorSpace, 'srgb');
+    assert.deepEqual(audit.modes, ['light', 'dark']);
+    assert.deepEqual(button.results.map(({ mode, foregroundColor, backgroundColor, pass }) => ({ mode, foregroundColor, backgroundColor, pass })), [
+        { mode: 'light', foregroundColor: '#ffffff', backgroundColor: '#3366ff', pass: true },
+        { mode: 'dark', foregroundColor: '#000000', backgroundColor: '#99bbff', pass: true }
+    ]);
+
+    // Colors without modes use their value, and references are resolved
+    assert.deepEqual(muted.results.map(result => result.backgroundColor), ['#ffffff', '#ffffff']);
+    assert.equal(audit.failures, 0);
+});
+
+test('only required pairs below their level count as failures', () => {
+    const optional = auditContrast(TOKENS, findPairs(TOKENS, { pairs: [{ foreground: 'hintForeground', background: 'paper', required: false }] }));
+    assert.equal(optional.failures, 0);
+    assert.equal(optional.pairs[0].results[0].pass, false);
+
+    const required = auditContrast(TOKENS, findPairs(TOKENS, { pairs: [{ foreground: 'hintForeground', background: 'paper' }] }));
+    assert.equal(required.failures, 1);
+});
+
+test('the report is a pair × mode matrix', () => {
+    const audit = auditContrast(TOKENS, findPairs(TOKENS, { pairs: [{ foreground: 'hintForeground', background: 'paper', required: false }] }));
+    const lines = toMatrix(audit).split('\n');
+
+    assert.match(lines[0], /^Pair\s+Level\s+light\s+dark$/);
+    assert.match(lines[2], /^hintForeground \/ paper\s+AA \(optional\)\s+4\.48 ✗\s+4\.48 ✗$/);
+
+    const html = toHTML(audit);
+    assert.match(html, /<th scope="col">dark<\/th>/);
+    assert.match(html, /3 pairs, 0 failing\. Colors are in srgb\./);
+    assert.match(html, /<td class="fail">/);
+});
@@ -0,0 +1,42 @@
+/**
+ * Deprecated Swift aliases for tokens renamed in Figma.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { deprecatedAliases } = require('../targets/shared');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/deprecation-tokens.json');
+
+const generator = new TokenGenerator({ inputPath: FIXTURE_PATH });
+Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+const files = Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+test('aliases are listed for deprecations whose new name still exists', () => {
+    assert.deepEqual(deprecatedAliases(generator.tokens, 'color'), [{ name: 'ink', renamed: 'text' }]);
+    assert.deepEqual(deprecatedAliases(generator.tokens, 'spacing'), [{ name: 'default', renamed: 'gutter' }]);
+    assert.deepEqual(deprecatedAliases(generator.tokens, 'typography'), []);
+});
+
+test('an old name that is a token again gets no alias', () => {
+    const tokens = {
+        $metadata: { deprecations: [{ category: 'color', name: 'ink', renamed: 'text' }] },
+        color: { ink: { value: '#000000' }, text: { value: '#000000' } }
+    };
+
+    assert.deepEqual(deprecatedAliases(tokens, 'color'), []);
+});
+
+test('SwiftUI gets deprecated constants that point at the new name', () => {
+    assert.match(files['swift/Colors.swift'], /\n {4}@available\(\*, deprecated, renamed: "text"\)\n {4}static let ink = Color\.text\n/);
+    assert.match(files['swift/Spacing.swift'], /\n {4}@available\(\*, deprecated, renamed: "gutter"\)\n {4}static let `default` = Spacing\.gutter\n/);
+    assert.doesNotMatch(files['swift/Colors.swift'], /stale/);
+});
+
+test('UIKit gets the same aliases under its own names', () => {
+    assert.match(files['uikit/UIColors.swift'], / {4}@available\(\*, deprecated, renamed: "text"\)\n {4}static let ink = UIColor\.text\n/);
+    assert.match(files['uikit/UIMetrics.swift'], / {4}@available\(\*, deprecated, renamed: "spacingGutter"\)\n {4}static let spacingDefault: CGFloat = \.spacingGutter\n/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Variable descriptions as doc comments and deprecation attributes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { transformVariablesToTokens, base64Encode } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { swiftAnnotations } = require('../targets/shared');
+
+process.env.FIGMA_ACCESS_TOKEN = process.env.FIGMA_ACCESS_TOKEN || 'test-token';
+process.env.FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'test-file';
+const FigmaSync = require('../sync-figma');
+
+const COLLECTION = { id: 'c1', name: 'Primitives', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+
+function stringVariable(id, description) {
+    return { id, key: id, name: `label ${id}`, resolvedType: 'STRING', variableCollectionId: 'c1', valuesByMode: { m1: 'x' }, scopes: [], description };
+}
+
+const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/description-tokens.json') });
+['swift', 'uikit'].forEach(name => generator.registerTarget(TARGETS[name]({})));
+const files = Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+test('the plugin exports trimmed descriptions and leaves out empty ones', () => {
+    const tokens = transformVariablesToTokens([stringVariable('v1', '  Checkout button  '), stringVariable('v2', '   '), stringVariable('v3')], [COLLECTION]);
+
+    assert.equal(tokens.string.labelV1.description, 'Checkout button');
+    assert.equal('description' in tokens.string.labelV2, false);
+    assert.equal('description' in tokens.string.labelV3, false);
+});
+
+test('the REST sync exports descriptions too', () => {
+    const sync = new FigmaSync();
+    const meta = { variableCollections: { c1: COLLECTION } };
+    const tokens = sync.transformToStyleDictionary({ meta, values: { v1: stringVariable('v1', ' Checkout button ') } });
+
+    assert.equal(tokens.string.labelV1.description, 'Checkout button');
+});
+
+test('descriptions become one doc comment line per line', () => {
+    assert.match(files['swift/Colors.swift'], / {4}\/\/\/ Body text\n {4}\/\/\/ Use on light surfaces\n {4}static let ink = /);
+    assert.match(files['uikit/UIColors.swift'], / {4}\/\/\/ Body text\n {4}\/\/\/ Use on light surfaces\n {4}static let ink = /);
+});
+
+test('@deprecated becomes an availability attribute with an escaped message', () => {
+    assert.match(files['swift/Colors.swift'], / {4}\/\/\/ Old brand color\n {4}@available\(\*, deprecated, message: "Use \\"ink\\" instead"\)\n {4}static let legacy = /);
+    assert.match(files['swift/Spacing.swift'], / {4}@available\(\*, deprecated, message: "Deprecated in Figma"\)\n {4}static let tight: CGFloat = 4\n/);
+    assert.match(files['uikit/UIMetrics.swift'], / {4}@available\(\*, deprecated, message: "Deprecated in Figma"\)\n {4}static let spacingTight: CGFloat = 4\n/);
+});
+
+test('a bare @deprecated uses the rest of the description as the message', () => {
+    assert.equal(
+        swiftAnnotations({ description: 'Use spacing.m @deprecated' }),
+        '    /// Use spacing.m\n    @available(*, deprecated, message: "Use spacing.m")\n'
+    );
+    assert.equal(swiftAnnotations({}), '');
+});
+
+test('descriptions outside ASCII survive the plugin\'s base64 upload', () => {
+    const content = JSON.stringify({ description: 'Überschrift — 見出し 🎨' });
+
+    assert.equal(base64Encode(content), Buffer.from(content, 'utf8').toString('base64'));
+    assert.equal(base64Encode('ab'), Buffer.from('ab').toString('base64'));
+});
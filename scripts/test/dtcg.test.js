@@ -0,0 +1,98 @@
+/**
+ * DTCG export and import (token-formats.js and the plugin share one writer).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toDTCG, fromDTCG, isDTCG } = require('../token-formats');
+const { toDTCGTokens } = require('../../figma-plugin/code');
+
+const TOKENS = {
+    $metadata: { version: '1.2.0' },
+    color: {
+        brand: { value: '#3366ff', type: 'color', variableId: 'v1', description: 'Brand', modes: { Light: '#3366ff', Dark: '#99bbff' } },
+        link: { value: '{color.brand}', type: 'color' }
+    },
+    spacing: { md: { value: 16, type: 'spacing', private: true, scopes: ['GAP'] } },
+    shadow: {
+        card: {
+            value: [
+                { offset: { x: 0, y: 2 }, blur: 4, spread: 0, color: '#000000', opacity: 0.25 },
+                { offset: { x: 0, y: 8 }, blur: 16, spread: -2, color: '#11223380', opacity: 0.5, inset: true }
+            ],
+            type: 'shadow'
+        }
+    }
+};
+
+test('the scripts and the plugin write the same DTCG document', () => {
+    assert.equal(toDTCG, toDTCGTokens);
+});
+
+test('tokens are written with $type, $value and the Figma extension', () => {
+    const document = toDTCG(TOKENS);
+
+    assert.ok(isDTCG(document));
+    assert.deepEqual(document.$metadata, { version: '1.2.0' });
+    assert.deepEqual(document.color.brand, {
+        $type: 'color',
+        $value: '#3366ff',
+        $description: 'Brand',
+        $extensions: { 'com.figma': { variableId: 'v1', modes: { Light: '#3366ff', Dark: '#99bbff' } } }
+    });
+    assert.equal(document.color.link.$value, '{color.brand}');
+    assert.deepEqual(document.spacing.md, {
+        $type: 'dimension',
+        $value: '16px',
+        $extensions: { 'com.figma': { private: true, scopes: ['GAP'] } }
+    });
+});
+
+test('shadow opacity is multiplied into the color alpha', () => {
+    const [ambient, key] = toDTCG(TOKENS).shadow.card.$value;
+
+    assert.deepEqual(ambient, { color: '#00000040', offsetX: '0px', offsetY: '2px', blur: '4px', spread: '0px' });
+    assert.equal(key.color, '#11223340');
+    assert.equal(key.inset, true);
+});
+
+test('shadow colors that are references or opaque are left alone', () => {
+    const document = toDTCG({
+        shadow: {
+            ref: { value: { offset: { x: 0, y: 1 }, blur: 2, color: '{color.brand}', opacity: 0.5 }, type: 'shadow' },
+            short: { value: { offset: { x: 0, y: 1 }, blur: 2, color: '#abc', opacity: 0.5 }, type: 'shadow' },
+            solid: { value: { offset: { x: 0, y: 1 }, blur: 2, color: '#aabbcc', opacity: 1 }, type: 'shadow' }
+        }
+    });
+
+    assert.equal(document.shadow.ref.$value.color, '{color.brand}');
+    assert.equal(document.shadow.short.$value.color, '#aabbcc80');
+    assert.equal(document.shadow.solid.$value.color, '#aabbcc');
+});
+
+test('a DTCG round trip keeps values, references and extensions', () => {
+    const tokens = fromDTCG(toDTCG(TOKENS));
+
+    assert.deepEqual(tokens.$metadata, { version: '1.2.0' });
+    assert.deepEqual(tokens.color.brand, TOKENS.color.brand);
+    assert.equal(tokens.color.link.value, '{color.brand}');
+    assert.deepEqual(tokens.spacing.md, TOKENS.spacing.md);
+
+    const [ambient, key] = tokens.shadow.card.value;
+    assert.equal(ambient.color, '#000000');
+    assert.equal(ambient.opacity, 0.251);
+    assert.equal(key.color, '#112233');
+    assert.equal(key.opacity, 0.251);
+    assert.equal(key.spread, -2);
+});
+
+test('nested DTCG groups are flattened and their references rewritten', () => {
+    const tokens = fromDTCG({
+        color: { brand: { primary: { $type: 'color', $value: '#ff0000' } }, accent: { $value: '{color.brand.primary}' } },
+        size: { $type: 'dimension', small: { $value: '4px' } }
+    });
+
+    assert.equal(tokens.color.brandPrimary.value, '#ff0000');
+    assert.equal(tokens.color.accent.value, '{color.brandPrimary}');
+    assert.equal(tokens.spacing.sizeSmall.value, 4);
+});
@@ -0,0 +1,150 @@
+/**
+ * Gradient paint styles (plugin and REST sync) and their SwiftUI and CSS output.
+ *
+ * Renders test/fixtures/gradient-tokens.json in memory, so nothing is
+ * written to the repo.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { transformVariablesToTokens } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { validateTokens } = require('../validate-tokens');
+
+process.env.FIGMA_ACCESS_TOKEN = process.env.FIGMA_ACCESS_TOKEN || 'test-token';
+process.env.FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'test-file';
+const EnhancedFigmaSync = require('../sync-figma-enhanced');
+
+const STOPS = [
+    { position: 0, color: { r: 1, g: 0.5333, b: 0, a: 1 } },
+    { position: 1, color: { r: 0.2, g: 0, b: 0.8, a: 0.5 } }
+];
+
+// Identity transform: the gradient runs left to right across the layer
+const LEFT_TO_RIGHT = [[1, 0, 0], [0, 1, 0]];
+const TOP_TO_BOTTOM = [[0, 1, 0], [-1, 0, 1]];
+
+function paintStyle(id, name, paints) {
+    return { id, key: `key-${id}`, name, description: '', paints };
+}
+
+function exportGradients(paintStyles) {
+    return transformVariablesToTokens([], [], { paintStyles }).gradient;
+}
+
+const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/gradient-tokens.json') });
+Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+const files = Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+test('linear gradient styles keep their CSS angle', () => {
+    const gradients = exportGradients([
+        paintStyle('p1', 'Sunset', [{ type: 'GRADIENT_LINEAR', visible: true, opacity: 1, gradientTransform: LEFT_TO_RIGHT, gradientStops: STOPS }]),
+        paintStyle('p2', 'Fade/Down', [{ type: 'GRADIENT_LINEAR', gradientTransform: TOP_TO_BOTTOM, gradientStops: STOPS }])
+    ]);
+
+    assert.deepEqual(gradients.sunset, {
+        value: {
+            type: 'linear',
+            angle: 90,
+            stops: [
+                { position: 0, color: '#ff8800', opacity: 1 },
+                { position: 1, color: '#3300cc', opacity: 0.5 }
+            ]
+        },
+        type: 'gradient',
+        variableId: 'key-p1',
+        originalName: 'Sunset',
+        resolvedType: 'PAINT_STYLE'
+    });
+    assert.equal(gradients.fadeDown.value.angle, 180);
+});
+
+test('the paint opacity is multiplied into every stop', () => {
+    const gradients = exportGradients([
+        paintStyle('p1', 'faded', [{ type: 'GRADIENT_LINEAR', opacity: 0.5, gradientTransform: LEFT_TO_RIGHT, gradientStops: STOPS }])
+    ]);
+
+    assert.deepEqual(gradients.faded.value.stops.map(stop => stop.opacity), [0.5, 0.25]);
+});
+
+test('radial gradient styles keep their center and radii', () => {
+    const gradients = exportGradients([
+        paintStyle('p1', 'glow', [{ type: 'GRADIENT_RADIAL', gradientTransform: LEFT_TO_RIGHT, gradientStops: STOPS }])
+    ]);
+
+    assert.equal(gradients.glow.value.type, 'radial');
+    assert.deepEqual(gradients.glow.value.center, { x: 0.5, y: 0.5 });
+    assert.deepEqual(gradients.glow.value.radius, { x: 0.5, y: 0.5 });
+});
+
+test('solid and hidden paints are not gradients', () => {
+    const gradients = exportGradients([
+        paintStyle('p1', 'solid', [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }]),
+        paintStyle('p2', 'hidden', [{ type: 'GRADIENT_LINEAR', visible: false, gradientTransform: LEFT_TO_RIGHT, gradientStops: STOPS }]),
+        paintStyle('p3', 'layered', [
+            { type: 'SOLID', color: { r: 1, g: 1, b: 1 } },
+            { type: 'GRADIENT_RADIAL', gradientTransform: LEFT_TO_RIGHT, gradientStops: STOPS }
+        ])
+    ]);
+
+    assert.deepEqual(Object.keys(gradients), ['layered']);
+});
+
+test('the REST sync exports fills in the same shape as the plugin', () => {
+    const sync = new EnhancedFigmaSync();
+    const [plugin] = Object.values(exportGradients([
+        paintStyle('p1', 'fade', [{ type: 'GRADIENT_LINEAR', opacity: 0.5, gradientTransform: TOP_TO_BOTTOM, gradientStops: STOPS }])
+    ]));
+
+    assert.deepEqual(sync.fillsToGradient([{
+        type: 'GRADIENT_LINEAR',
+        opacity: 0.5,
+        gradientHandlePositions: [{ x: 0.5, y: 0 }, { x: 0.5, y: 1 }, { x: 0, y: 0 }],
+        gradientStops: STOPS
+    }]), plugin.value);
+    assert.equal(sync.fillsToGradient([{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }]), null);
+});
+
+test('SwiftUI gets LinearGradient constants and RadialGradient functions', () => {
+    const swift = files['swift/Gradients.swift'];
+
+    assert.match(swift, /\/\/\/ Hero backgrounds\n {4}static let sunset = LinearGradient\(\n/);
+    assert.match(swift, /Gradient\.Stop\(color: Color\(hex: "#3300cc"\)\.opacity\(0\.5\), location: 1\)/);
+    assert.match(swift, /startPoint: UnitPoint\(x: 0, y: 0\.5\),\n {8}endPoint: UnitPoint\(x: 1, y: 0\.5\)\n/);
+    assert.match(swift, /static let banner = LinearGradient\.sunset\n/);
+
+    // RadialGradient takes points, so the radius is scaled by the view's width
+    assert.match(swift, /static func glow\(width: CGFloat\) -> RadialGradient \{/);
+    assert.match(swift, /center: UnitPoint\(x: 0\.5, y: 0\.25\),\n {12}startRadius: 0,\n {12}endRadius: width \* 0\.5\n/);
+});
+
+test('web gets CSS gradients and Tailwind background images', () => {
+    const css = files['web/tokens.css'];
+
+    assert.match(css, /--gradient-sunset: linear-gradient\(90deg, rgba\(255, 136, 0, 1\) 0%, rgba\(51, 0, 204, 0\.5\) 100%\);/);
+    assert.match(css, /--gradient-glow: radial-gradient\(50% 75% at 50% 25%, rgba\(255, 255, 255, 0\.8\) 0%, rgba\(255, 255, 255, 0\) 100%\);/);
+    assert.match(css, /--gradient-banner: var\(--gradient-sunset\);/);
+    assert.match(files['web/tailwind.preset.js'], /"backgroundImage": \{\n\s+"banner": "var\(--gradient-banner\)"/);
+});
+
+test('validation rejects malformed gradients', () => {
+    const stop = { position: 0, color: '#000000', opacity: 1 };
+    const errors = validateTokens({
+        gradient: {
+            conic: { value: { type: 'conic', stops: [stop, stop] }, type: 'gradient' },
+            single: { value: { type: 'linear', angle: 0, stops: [stop] }, type: 'gradient' },
+            outside: { value: { type: 'linear', angle: 0, stops: [stop, { position: 2, color: '#000000', opacity: 1 }] }, type: 'gradient' },
+            unangled: { value: { type: 'linear', stops: [stop, stop] }, type: 'gradient' },
+            uncentered: { value: { type: 'radial', stops: [stop, stop] }, type: 'gradient' }
+        }
+    });
+
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /gradient\.conic.*"linear" \| "radial"/);
+    assert.match(errors[1], /gradient\.single.*at least two/);
+    assert.match(errors[2], /gradient\.outside.*stop 1 position/);
+    assert.match(errors[3], /gradient\.unangled.*angle/);
+    assert.match(errors[4], /gradient\.uncentered.*center and radius/);
+});
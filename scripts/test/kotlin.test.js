@@ -0,0 +1,61 @@
+/**
+ * Jetpack Compose output of the Kotlin target.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const KotlinTarget = require('../targets/kotlin');
+
+function renderFiles(fixture) {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures', fixture) });
+    generator.registerTarget(new KotlinTarget({}));
+    return Object.fromEntries(generator.render().map(({ name, content }) => [name, content]));
+}
+
+const files = renderFiles('theme-tokens.json');
+
+test('Kotlin files are written under the Android package', () => {
+    const target = new KotlinTarget({});
+
+    assert.equal(target.outputDir, 'android/src/main/java/com/designsystem/tokens');
+    assert.deepEqual(Object.keys(files), ['Color.kt', 'Type.kt', 'Dimens.kt', 'Shape.kt', 'Elevation.kt', 'Opacity.kt', 'FeatureFlags.kt', 'Strings.kt']);
+    Object.values(files).forEach(content => assert.match(content, /^package com\.designsystem\.tokens$/m));
+});
+
+test('colors without modes are constants, private ones internal', () => {
+    const colors = files['Color.kt'];
+
+    assert.match(colors, /object DesignColors \{\n {4}val ink = Color\(0xFF102030\)\n {4}internal val scrim = Color\(0x80000000\)\n\}/);
+});
+
+test('colors with a dark mode go into light and dark color schemes, with their aliases', () => {
+    const colors = files['Color.kt'];
+
+    assert.match(colors, /data class DesignColorScheme\(\n {4}val surface: Color,\n {4}val card: Color,\n\)/);
+    assert.match(colors, /val LightDesignColorScheme = DesignColorScheme\(\n {4}surface = Color\(0xFFFFFFFF\),\n {4}card = Color\(0xFFFFFFFF\),\n\)/);
+    assert.match(colors, /val DarkDesignColorScheme = DesignColorScheme\(\n {4}surface = Color\(0xFF121212\),\n {4}card = Color\(0xFF121212\),\n\)/);
+    assert.match(colors, /fun DesignTheme\(darkTheme: Boolean = isSystemInDarkTheme\(\), content: @Composable \(\) -> Unit\)/);
+});
+
+test('colors without a dark mode get no theme', () => {
+    const colors = renderFiles('constant-tokens.json')['Color.kt'];
+
+    assert.match(colors, /val primary500 = Color\(0xFF112233\)/);
+    assert.doesNotMatch(colors, /DesignColorScheme/);
+    assert.doesNotMatch(colors, /isSystemInDarkTheme/);
+});
+
+test('typography becomes TextStyles', () => {
+    const type = files['Type.kt'];
+
+    assert.match(type, /val bodySize = TextStyle\(fontSize = 16\.sp\)\n/);
+    assert.match(type, /val heading = TextStyle\(fontSize = 24\.sp, fontWeight = FontWeight\.SemiBold, lineHeight = 32\.sp, letterSpacing = \(-0\.5\)\.sp\)\n/);
+});
+
+test('spacing and radii become Dp values and shapes, aliases in declaration order', () => {
+    assert.match(files['Dimens.kt'], /object Spacing \{\n {4}val s = 8\.dp\n {4}val gutter = Spacing\.s\n\}/);
+    assert.match(files['Dimens.kt'], /object BorderRadius \{\n {4}val round = 12\.dp\n\}/);
+    assert.match(files['Shape.kt'], /val round = RoundedCornerShape\(BorderRadius\.round\)/);
+});
@@ -0,0 +1,82 @@
+/**
+ * Token names, code identifiers and name collisions.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toTokenName, toSwiftIdentifier, toKotlinIdentifier, findPathCollisions, validateNames } = require('../token-names');
+const { transformVariablesToTokens } = require('../../figma-plugin/code');
+const SwiftTarget = require('../targets/swift');
+const KotlinTarget = require('../targets/kotlin');
+
+test('Figma names become camelCase token names without the category prefix', () => {
+    assert.equal(toTokenName('Color/Primary 800'), 'primary800');
+    assert.equal(toTokenName('button-background'), 'buttonBackground');
+    assert.equal(toTokenName('Border Radius/Large'), 'large');
+    assert.equal(toTokenName('spacing'), 'spacing');
+    assert.equal(toTokenName('surfaceRaised'), 'surfaceRaised');
+});
+
+test('the plugin names variables like the scripts', () => {
+    const names = ['Color/Primary 800', 'button-background', 'Border Radius/Large', 'typography/Body-XL', 'ss foreground'];
+    const collection = { id: 'c1', name: 'Primitives', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const variables = names.map((name, index) => ({
+        id: `v${index}`, key: `k${index}`, name, resolvedType: 'STRING', variableCollectionId: 'c1', valuesByMode: { m1: name }, scopes: []
+    }));
+
+    const tokens = transformVariablesToTokens(variables, [collection]);
+    assert.deepEqual(Object.keys(tokens.string).sort(), names.map(toTokenName).sort());
+});
+
+test('identifiers escape keywords and leading digits per language', () => {
+    assert.equal(toSwiftIdentifier('default'), '`default`');
+    assert.equal(toSwiftIdentifier('100'), '_100');
+    assert.equal(toSwiftIdentifier('Heading'), 'heading');
+    assert.equal(toKotlinIdentifier('object'), '`object`');
+    assert.equal(toKotlinIdentifier('default'), 'default');
+    assert.equal(new SwiftTarget({}).toSwiftName('repeat'), '`repeat`');
+    assert.equal(new KotlinTarget({}).toKotlinName('500'), '_500');
+});
+
+test('names that collide, are not identifiers or redeclare built-ins are rejected', () => {
+    const errors = validateNames({
+        color: {
+            Primary800: { value: '#000000', originalName: 'Primary/800' },
+            primary800: { value: '#000000', originalName: 'primary 800' },
+            'bad-name': { value: '#000000' },
+            secondary: { value: '#000000', originalName: 'Secondary' },
+            label: { value: '#000000' }
+        },
+        typography: { headline: { value: 17 } },
+        // Same identifier in different categories is fine
+        spacing: { primary800: { value: 8 } }
+    });
+
+    assert.deepEqual(errors, [
+        'color.bad-name: token names may only contain letters, digits and underscores',
+        'color.secondary (Figma "Secondary"): would redeclare the built-in Color.secondary; rename it in Figma',
+        'color.label: would redeclare the built-in UIColor.label; rename it in Figma',
+        'color: Primary800 (Figma "Primary/800"), primary800 (Figma "primary 800") all generate the identifier primary800',
+        'typography.headline: would redeclare the built-in Font.headline; rename it in Figma'
+    ]);
+});
+
+test('the sync scripts report variables that map to the same token path', () => {
+    assert.deepEqual(findPathCollisions([
+        { path: 'color.primary800', originalName: 'primary-800' },
+        { path: 'color.primary800', originalName: 'primary/800' },
+        { path: 'color.ink', originalName: 'ink' }
+    ]), ['color.primary800: "primary-800", "primary/800" all map to the same token name']);
+});
+
+test('the plugin fails the export when two variables map to one token', () => {
+    const collection = { id: 'c1', name: 'Primitives', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const variable = (id, name) => ({
+        id, key: id, name, resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: { r: 0, g: 0, b: 0, a: 1 } }, scopes: []
+    });
+
+    assert.throws(
+        () => transformVariablesToTokens([variable('v1', 'primary-800'), variable('v2', 'Primary/800')], [collection]),
+        /Variable names collide, rename one of each group: color\.primary800: "primary-800", "Primary\/800"/
+    );
+});
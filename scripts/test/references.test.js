@@ -0,0 +1,118 @@
+/**
+ * Variable aliases as `{category.name}` references: export, resolution and output.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseReference, toReference, resolveReference, validateReferences } = require('../token-references');
+const { transformVariablesToTokens } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+
+process.env.FIGMA_ACCESS_TOKEN = process.env.FIGMA_ACCESS_TOKEN || 'test-token';
+process.env.FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'test-file';
+const FigmaSync = require('../sync-figma');
+
+const TOKENS = {
+    color: {
+        blue: { value: '#0000ff', type: 'color' },
+        navy: { value: '#000080', type: 'color' },
+        primary: { value: '{color.blue}', type: 'color', modes: { light: '{color.blue}', dark: '{color.navy}' } },
+        action: { value: '{color.primary}', type: 'color' }
+    }
+};
+
+const alias = id => ({ type: 'VARIABLE_ALIAS', id });
+
+test('references are parsed and written as {category.name}', () => {
+    assert.deepEqual(parseReference('{color.primary}'), { category: 'color', name: 'primary' });
+    assert.equal(parseReference('#0000ff'), null);
+    assert.equal(parseReference('{color.brand.primary}'), null);
+    assert.equal(toReference('spacing', 'm'), '{spacing.m}');
+});
+
+test('alias chains resolve to their value, per mode when asked', () => {
+    assert.equal(resolveReference(TOKENS, '{color.action}'), '#0000ff');
+    assert.equal(resolveReference(TOKENS, '{color.primary}', 'dark'), '#000080');
+    assert.equal(resolveReference(TOKENS, '#123456'), '#123456');
+});
+
+test('dangling and circular aliases are reported with their chain', () => {
+    const tokens = {
+        color: {
+            a: { value: '{color.b}', type: 'color' },
+            b: { value: '{color.a}', type: 'color' },
+            c: { value: '{color.missing}', type: 'color' }
+        }
+    };
+
+    assert.throws(() => resolveReference(tokens, '{color.a}'), /Circular alias: \{color\.a\} → \{color\.b\} → \{color\.a\}/);
+    assert.deepEqual(validateReferences(tokens), [
+        'color.a.value: Circular alias: {color.b} → {color.a} → {color.b}',
+        'color.b.value: Circular alias: {color.a} → {color.b} → {color.a}',
+        'color.c.value: Unknown alias target {color.missing}'
+    ]);
+});
+
+test('the plugin writes aliases as references and inlines aliases to skipped variables', () => {
+    const collection = { id: 'c1', name: 'Theme', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const variable = (id, name, value, extra = {}) => Object.assign({
+        id, key: `key-${id}`, name, resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: value }, scopes: []
+    }, extra);
+
+    const tokens = transformVariablesToTokens([
+        variable('v1', 'blue', { r: 0, g: 0, b: 1, a: 1 }),
+        variable('v2', 'internal red', { r: 1, g: 0, b: 0, a: 1 }, { hiddenFromPublishing: true }),
+        variable('v3', 'primary', alias('v1')),
+        variable('v4', 'danger', alias('v2'))
+    ], [collection]);
+
+    assert.equal(tokens.color.primary.value, '{color.blue}');
+    assert.equal(tokens.color.danger.value, '#ff0000');
+    assert.equal(tokens.color.internalRed, undefined);
+});
+
+test('the plugin rejects alias cycles', () => {
+    const collection = { id: 'c1', name: 'Theme', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const variable = (id, name, value) => ({ id, key: id, name, resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: value }, scopes: [] });
+
+    assert.throws(
+        () => transformVariablesToTokens([variable('v1', 'a', alias('v2')), variable('v2', 'b', alias('v1'))], [collection]),
+        /Circular alias/
+    );
+});
+
+test('the REST sync inlines aliases into collections left out by FIGMA_COLLECTIONS', () => {
+    const sync = new FigmaSync();
+    sync.collections = ['Theme'];
+
+    const meta = {
+        variableCollections: {
+            c1: { id: 'c1', name: 'Theme', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' },
+            c2: { id: 'c2', name: 'Primitives', modes: [{ modeId: 'm2', name: 'Value' }], defaultModeId: 'm2' }
+        }
+    };
+    const values = {
+        v1: { key: 'k1', name: 'blue', resolvedType: 'COLOR', variableCollectionId: 'c2', valuesByMode: { m2: { r: 0, g: 0, b: 1, a: 1 } } },
+        v2: { key: 'k2', name: 'primary', resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: alias('v1') } },
+        v3: { key: 'k3', name: 'action', resolvedType: 'COLOR', variableCollectionId: 'c1', valuesByMode: { m1: alias('v2') } }
+    };
+
+    const tokens = sync.transformToStyleDictionary({ meta, values });
+
+    assert.equal(tokens.color.blue, undefined);
+    assert.equal(tokens.color.primary.value, '#0000ff');
+    assert.equal(tokens.color.action.value, '{color.primary}');
+});
+
+test('generated code keeps the semantic layer', () => {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/color-tokens.json') });
+    Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+    const files = Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+    assert.match(files['swift/Colors.swift'], /static let action = Color\.primary500\n/);
+    assert.match(files['uikit/UIColors.swift'], /static let action = UIColor\.primary500\n/);
+    assert.match(files['web/tokens.css'], /--color-action: var\(--color-primary500\);/);
+    assert.match(files['web/_tokens.scss'], /\$color-action: \$color-primary500;/);
+});
@@ -0,0 +1,68 @@
+/**
+ * Exporting a chosen set of collections and modes from the plugin.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { transformVariablesToTokens, describeSelection, countTokensByCollection } = require('../../figma-plugin/code');
+
+const THEME = {
+    id: 'c1',
+    name: 'Theme',
+    modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }, { modeId: 'm3', name: 'High Contrast' }],
+    defaultModeId: 'm1'
+};
+const PRIMITIVES = { id: 'c2', name: 'Primitives', modes: [{ modeId: 'm4', name: 'Value' }], defaultModeId: 'm4' };
+
+const gray = level => ({ r: level, g: level, b: level, a: 1 });
+
+const VARIABLES = [
+    { id: 'v1', key: 'k1', name: 'black', resolvedType: 'COLOR', variableCollectionId: 'c2', valuesByMode: { m4: gray(0) }, scopes: [] },
+    {
+        id: 'v2',
+        key: 'k2',
+        name: 'text',
+        resolvedType: 'COLOR',
+        variableCollectionId: 'c1',
+        valuesByMode: { m1: { type: 'VARIABLE_ALIAS', id: 'v1' }, m2: gray(1), m3: gray(0.2) },
+        scopes: []
+    }
+];
+
+test('without a selection every collection and mode is exported', () => {
+    const tokens = transformVariablesToTokens(VARIABLES, [THEME, PRIMITIVES]);
+
+    assert.deepEqual(Object.keys(tokens.color), ['black', 'text']);
+    assert.deepEqual(tokens.color.text.modes, { light: '{color.black}', dark: '#ffffff', 'high-contrast': '#333333' });
+});
+
+test('only the selected modes are exported', () => {
+    const tokens = transformVariablesToTokens(VARIABLES, [THEME, PRIMITIVES], { selection: { c1: ['m1', 'm2'], c2: ['m4'] } });
+
+    assert.deepEqual(tokens.color.text.modes, { light: '{color.black}', dark: '#ffffff' });
+});
+
+test('a single selected mode becomes the value, without modes', () => {
+    const tokens = transformVariablesToTokens(VARIABLES, [THEME, PRIMITIVES], { selection: { c1: ['m2'], c2: ['m4'] } });
+
+    assert.equal(tokens.color.text.value, '#ffffff');
+    assert.equal(tokens.color.text.modes, undefined);
+});
+
+test('variables of deselected collections are left out and aliases to them inlined', () => {
+    const tokens = transformVariablesToTokens(VARIABLES, [THEME, PRIMITIVES], { selection: { c1: ['m1', 'm2'] } });
+
+    assert.deepEqual(Object.keys(tokens.color), ['text']);
+    assert.deepEqual(tokens.color.text.modes, { light: '#000000', dark: '#ffffff' });
+});
+
+test('the selection is recorded by Figma name so the export can be repeated', () => {
+    assert.deepEqual(describeSelection([THEME, PRIMITIVES], { c1: ['m3', 'm1'] }), { Theme: ['Light', 'High Contrast'] });
+    assert.deepEqual(describeSelection([THEME, PRIMITIVES], null), { Theme: ['Light', 'Dark', 'High Contrast'], Primitives: ['Value'] });
+});
+
+test('the preview counts exported tokens per collection', () => {
+    const tokens = transformVariablesToTokens(VARIABLES, [THEME, PRIMITIVES], { selection: { c1: ['m1'] } });
+
+    assert.deepEqual(countTokensByCollection(tokens, [THEME, PRIMITIVES]), [{ name: 'Theme', count: 1 }]);
+});
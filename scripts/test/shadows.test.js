@@ -0,0 +1,66 @@
+/**
+ * Multi-layer and inner shadows through every target.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+const { validateTokens } = require('../validate-tokens');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/shadow-tokens.json');
+
+function renderFiles() {
+    const generator = new TokenGenerator({ inputPath: FIXTURE_PATH });
+    Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+    return Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+}
+
+const files = renderFiles();
+
+test('Swift shadows list every layer and alias other shadows', () => {
+    const shadows = files['swift/Shadows.swift'];
+
+    assert.match(shadows, /static let card = Shadow\(layers: \[\n {8}Shadow\.Layer\(offset: CGSize\(width: 0, height: 2\), blur: 4, spread: 0, color: Color\(hex: "#000000"\), opacity: 0\.25, inset: false\),\n {8}Shadow\.Layer\(offset: CGSize\(width: 0, height: 8\), blur: 16, spread: 2, color: Color\(hex: "#102030"\), opacity: 0\.1, inset: false\)\n {4}\]\)/);
+    assert.match(shadows, /inset: true\)/);
+    assert.match(shadows, /static let raised = Shadow\.card\n/);
+    assert.match(shadows, /func designShadow<S: Shape>\(_ shadow: Shadow, in shape: S\)/);
+});
+
+test('Swift shadows keep single-layer accessors for existing views', () => {
+    const shadows = files['swift/Shadows.swift'];
+
+    assert.match(shadows, /var offset: CGSize \{ layers\[0\]\.offset \}/);
+    assert.match(shadows, /var blur: CGFloat \{ layers\[0\]\.blur \}/);
+    assert.match(shadows, /var color: Color \{ layers\[0\]\.color \}/);
+    assert.match(shadows, /var opacity: Double \{ layers\[0\]\.opacity \}/);
+});
+
+test('Kotlin shadows become DesignShadow layers in Elevation', () => {
+    const elevation = files['kotlin/Elevation.kt'];
+
+    assert.match(elevation, /ShadowLayer\(offsetX = 0\.dp, offsetY = 8\.dp, blur = 16\.dp, spread = 2\.dp, color = Color\(0xFF102030\)\.copy\(alpha = 0\.1f\)\)/);
+    assert.match(elevation, /color = Color\(0xFF000000\)\.copy\(alpha = 0\.5f\), inset = true\)/);
+    assert.match(elevation, /val raised = Elevation\.card\n/);
+});
+
+test('web shadows are comma-separated box-shadow layers', () => {
+    assert.match(files['web/tokens.css'], /--shadow-card: 0px 2px 4px 0px rgba\(0, 0, 0, 0\.25\), 0px 8px 16px 2px rgba\(16, 32, 48, 0\.1\);/);
+    assert.match(files['web/tokens.css'], /--shadow-well: inset 0px 1px 2px 0px rgba\(0, 0, 0, 0\.5\);/);
+    assert.match(files['web/tokens.css'], /--shadow-raised: var\(--shadow-card\);/);
+    assert.match(files['web/_tokens.scss'], /\$shadow-raised: \$shadow-card;/);
+});
+
+test('validation names the broken shadow layer', () => {
+    const errors = validateTokens({
+        shadow: {
+            empty: { value: [], type: 'shadow' },
+            layered: { value: [{ offset: { x: 0, y: 1 }, blur: 2, color: '#000000', opacity: 1 }, { offset: { x: 0, y: 1 }, blur: '2', color: '#000000', opacity: 1 }], type: 'shadow' }
+        }
+    });
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /shadow\.empty\.value: expected a \{ offset, blur, color, opacity \} shadow/);
+    assert.match(errors[1], /shadow\.layered\.value: expected layer 1 blur to be a number/);
+});
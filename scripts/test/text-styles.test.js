@@ -0,0 +1,111 @@
+/**
+ * Figma text styles as composite typography tokens.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { transformVariablesToTokens } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const { TARGETS } = require('../generate-swift');
+
+function textStyle(id, name, overrides = {}) {
+    return Object.assign({
+        id,
+        key: `key-${id}`,
+        name,
+        description: '',
+        fontName: { family: 'Inter', style: 'Regular' },
+        fontSize: 16,
+        lineHeight: { unit: 'AUTO' },
+        letterSpacing: { unit: 'PIXELS', value: 0 },
+        textCase: 'ORIGINAL',
+        textDecoration: 'NONE'
+    }, overrides);
+}
+
+const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/text-style-tokens.json') });
+Object.values(TARGETS).forEach(createTarget => generator.registerTarget(createTarget({})));
+const files = Object.fromEntries(generator.render().map(({ target, name, content }) => [`${target}/${name}`, content]));
+
+test('text styles become composite typography tokens', () => {
+    const tokens = transformVariablesToTokens([], [], {
+        textStyles: [textStyle('s1', 'Heading/Large', {
+            fontName: { family: 'Inter', style: 'Semi Bold Italic' },
+            fontSize: 24,
+            lineHeight: { unit: 'PIXELS', value: 32 },
+            letterSpacing: { unit: 'PIXELS', value: -0.25 },
+            description: ' Page titles '
+        })]
+    });
+
+    assert.deepEqual(tokens.typography.headingLarge, {
+        value: { fontFamily: 'Inter', fontWeight: 'semibold', fontSize: 24, lineHeight: 32, letterSpacing: -0.25 },
+        type: 'typography',
+        variableId: 'key-s1',
+        originalName: 'Heading/Large',
+        resolvedType: 'TEXT_STYLE',
+        description: 'Page titles'
+    });
+});
+
+test('percent line heights and letter spacing are resolved against the font size', () => {
+    const tokens = transformVariablesToTokens([], [], {
+        textStyles: [textStyle('s1', 'body', {
+            fontSize: 15,
+            lineHeight: { unit: 'PERCENT', value: 150 },
+            letterSpacing: { unit: 'PERCENT', value: 2 },
+            textCase: 'UPPER',
+            textDecoration: 'STRIKETHROUGH'
+        })]
+    });
+
+    assert.deepEqual(tokens.typography.body.value, {
+        fontFamily: 'Inter',
+        fontWeight: 'regular',
+        fontSize: 15,
+        lineHeight: 22.5,
+        letterSpacing: 0.3,
+        textCase: 'uppercase',
+        textDecoration: 'line-through'
+    });
+});
+
+test('auto line height and zero tracking are left out', () => {
+    const tokens = transformVariablesToTokens([], [], { textStyles: [textStyle('s1', 'label', { fontName: { family: 'Inter', style: 'Black' } })] });
+
+    assert.deepEqual(tokens.typography.label.value, { fontFamily: 'Inter', fontWeight: 'black', fontSize: 16 });
+});
+
+test('text styles and variables share the typography namespace', () => {
+    const collection = { id: 'c1', name: 'Type', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+    const variable = { id: 'v1', key: 'k1', name: 'label', resolvedType: 'FLOAT', variableCollectionId: 'c1', valuesByMode: { m1: 14 }, scopes: ['FONT_SIZE'] };
+
+    assert.throws(
+        () => transformVariablesToTokens([variable], [collection], { textStyles: [textStyle('s1', 'Label')] }),
+        /typography\.label: "label", "Label"/
+    );
+});
+
+test('SwiftUI gets a Font and a TextStyle for every composite token', () => {
+    const typography = files['swift/Typography.swift'];
+
+    assert.match(typography, /static let display = Font\.custom\("Inter", size: 40\)\.weight\(\.bold\)\n/);
+    // Apple's system typefaces are reached through the system font
+    assert.match(typography, /static let overline = Font\.system\(size: 12, weight: \.medium\)\n/);
+    assert.match(typography, /static let hero = Font\.display\n/);
+
+    assert.match(typography, /static let display = TextStyle\(font: Font\.display, fontFamily: "Inter", fontSize: 40, lineHeight: 48, letterSpacing: 0, textCase: nil, underline: false, strikethrough: false\)\n/);
+    assert.match(typography, /static let overline = TextStyle\(font: Font\.overline, fontFamily: nil, fontSize: 12, lineHeight: nil, letterSpacing: 0\.6, textCase: \.uppercase, underline: true, strikethrough: false\)\n/);
+    assert.match(typography, /static let hero = TextStyle\.display\n/);
+    assert.match(typography, /func textStyle\(_ style: TextStyle\) -> some View/);
+});
+
+test('other targets get the style\'s metrics', () => {
+    assert.match(files['uikit/UIMetrics.swift'], /static let typographyDisplayLineHeight: CGFloat = 48\n/);
+    assert.match(files['uikit/UIFonts.swift'], /static func hero\(weight: UIFont\.Weight\? = nil\) -> UIFont \{\n {8}\.display\(weight: weight\)\n/);
+    assert.match(files['kotlin/Type.kt'], /val overline = TextStyle\(fontSize = 12\.sp, fontWeight = FontWeight\.Medium, letterSpacing = 0\.6\.sp, textDecoration = TextDecoration\.Underline\)\n/);
+    assert.match(files['kotlin/Type.kt'], /val hero = DesignTypography\.display\n/);
+    assert.match(files['web/tokens.css'], /--typography-overline-text-transform: uppercase;/);
+    assert.match(files['web/tokens.css'], /--typography-hero-line-height: var\(--typography-display-line-height\);/);
+});
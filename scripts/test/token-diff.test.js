@@ -0,0 +1,102 @@
+/**
+ * Token diff and changelog between two snapshots.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadSnapshot, diffTokens, hasChanges, toMarkdown } = require('../token-diff');
+const { toDTCG, fromDTCG } = require('../token-formats');
+
+const BEFORE = {
+    $metadata: { version: '1.0.0' },
+    color: {
+        ink: { value: '#000000', type: 'color', variableId: 'v1' },
+        surface: { value: '#ffffff', type: 'color', variableId: 'v2', modes: { light: '#ffffff', dark: '#111111' } },
+        old: { value: '#ff0000', type: 'color', variableId: 'v3' },
+        gone: { value: '#00ff00', type: 'color', variableId: 'v4' }
+    },
+    spacing: { m: { value: 16, type: 'spacing', variableId: 'v5' } }
+};
+
+const AFTER = {
+    $metadata: { version: '1.1.0' },
+    color: {
+        ink: { value: '#000000', type: 'color', variableId: 'v1' },
+        surface: { value: '#ffffff', type: 'color', variableId: 'v2', modes: { light: '#ffffff', dark: '#222222' } },
+        danger: { value: '#ff0000', type: 'color', variableId: 'v3' },
+        accent: { value: '#0000ff', type: 'color', variableId: 'v6' }
+    },
+    spacing: { m: { value: 20, type: 'spacing', variableId: 'v5' } }
+};
+
+test('added, removed, renamed and changed tokens are told apart', () => {
+    const diff = diffTokens(BEFORE, AFTER);
+
+    assert.deepEqual(diff.added.map(({ category, name }) => `${category}.${name}`), ['color.accent']);
+    assert.deepEqual(diff.removed.map(({ category, name }) => `${category}.${name}`), ['color.gone']);
+    assert.deepEqual(diff.renamed.map(({ name, from, changes }) => ({ name, from, changes })), [
+        { name: 'danger', from: { category: 'color', name: 'old' }, changes: [] }
+    ]);
+    assert.deepEqual(diff.changed.map(({ category, name, changes }) => ({ category, name, changes })), [
+        { category: 'color', name: 'surface', changes: [{ mode: 'dark', before: '#111111', after: '#222222' }] },
+        { category: 'spacing', name: 'm', changes: [{ mode: null, before: 16, after: 20 }] }
+    ]);
+});
+
+test('values compare regardless of key order', () => {
+    const before = { typography: { title: { value: { fontSize: 20, fontWeight: 'bold' }, type: 'typography' } } };
+    const after = { typography: { title: { value: { fontWeight: 'bold', fontSize: 20 }, type: 'typography' } } };
+
+    assert.equal(hasChanges(diffTokens(before, after)), false);
+});
+
+test('the changelog has a table per category', () => {
+    const markdown = toMarkdown(diffTokens(BEFORE, AFTER), { from: 'v1.0.0', to: 'HEAD' });
+
+    assert.equal(markdown, [
+        '## 🎨 Design token changes',
+        '',
+        'Comparing `v1.0.0` → `HEAD`',
+        '',
+        '**1 added, 1 removed, 1 renamed, 2 changed**',
+        '',
+        '### color',
+        '',
+        '| Change | Token | Value |',
+        '| --- | --- | --- |',
+        '| ➕ Added | `accent` | `#0000ff` |',
+        '| ➖ Removed | `gone` | `#00ff00` |',
+        '| ✏️ Renamed | `old` → `danger` |  |',
+        '| 🔄 Changed | `surface` | dark: `#111111` → `#222222` |',
+        '',
+        '### spacing',
+        '',
+        '| Change | Token | Value |',
+        '| --- | --- | --- |',
+        '| 🔄 Changed | `m` | `16` → `20` |',
+        ''
+    ].join('\n'));
+});
+
+test('identical snapshots report no changes', () => {
+    assert.equal(toMarkdown(diffTokens(BEFORE, BEFORE)), '## 🎨 Design token changes\n\nNo token changes.\n');
+});
+
+test('snapshots are read from files, in either token format', () => {
+    const fixture = path.join(__dirname, 'fixtures/color-tokens.json');
+    const tokens = loadSnapshot(fixture);
+
+    assert.equal(tokens.color.ink.value, '#102030');
+    assert.equal(hasChanges(diffTokens(tokens, fromDTCG(toDTCG(tokens)))), false);
+    assert.throws(() => loadSnapshot('no-such-revision'), /no-such-revision is neither a token file nor a git revision/);
+});
+
+test('the CLI prints JSON with --json', () => {
+    const fixture = path.join(__dirname, 'fixtures/color-tokens.json');
+    const result = spawnSync(process.execPath, [path.join(__dirname, '../token-diff.js'), fixture, fixture, '--json'], { encoding: 'utf8' });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), { added: [], removed: [], renamed: [], changed: [] });
+});
@@ -0,0 +1,84 @@
+/**
+ * The generator engine: target registration, rendering and writing.
+ *
+ * Writes go to a temporary output root that is removed afterwards.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const { createGenerator, parseTargets } = require('../generate-swift');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/color-tokens.json');
+
+// A target that lists color names, one file per color in an owned directory
+function listTarget() {
+    return {
+        name: 'list',
+        outputDir: 'list',
+        ownedDirs: ['colors'],
+        files: tokens => [{
+            name: 'colors.txt',
+            categories: ['color'],
+            generate: tokens => `${Object.keys(tokens.color).join('\n')}\n`
+        }].concat(Object.keys(tokens.color).map(name => ({
+            name: `colors/${name}.txt`,
+            categories: ['color'],
+            generate: tokens => `${tokens.color[name].value}\n`
+        })))
+    };
+}
+
+function withOutputRoot(run) {
+    const outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'token-generator-'));
+    try {
+        run(outputRoot);
+    } finally {
+        fs.rmSync(outputRoot, { recursive: true, force: true });
+    }
+}
+
+test('registered targets render their files in memory, tokens sorted by name', () => {
+    const generator = new TokenGenerator({ inputPath: FIXTURE_PATH, outputRoot: '/out' }).registerTarget(listTarget());
+    const files = generator.render();
+
+    assert.deepEqual(files.map(file => file.name), ['colors.txt', 'colors/action.txt', 'colors/ink.txt', 'colors/overlay.txt', 'colors/primary500.txt']);
+    assert.equal(files[0].content, 'action\nink\noverlay\nprimary500\n');
+    assert.equal(files[0].target, 'list');
+    assert.equal(files[0].filePath, path.join('/out', 'list', 'colors.txt'));
+});
+
+test('categories no target writes are reported', () => {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/constant-tokens.json') });
+    generator.registerTarget(listTarget());
+
+    assert.deepEqual(generator.uncoveredCategories(), ['spacing', 'opacity', 'boolean', 'string']);
+
+    generator.registerTarget({ name: 'all', outputDir: 'all', files: [{ name: 'all.json', categories: ['*'], generate: () => '{}\n' }] });
+    assert.deepEqual(generator.uncoveredCategories(), []);
+});
+
+test('generateAll writes every file and clears owned directories first', () => {
+    withOutputRoot(outputRoot => {
+        const staleFile = path.join(outputRoot, 'list/colors/removed.txt');
+        fs.mkdirSync(path.dirname(staleFile), { recursive: true });
+        fs.writeFileSync(staleFile, '#000000\n');
+
+        new TokenGenerator({ inputPath: FIXTURE_PATH, outputRoot }).registerTarget(listTarget()).generateAll();
+
+        assert.equal(fs.existsSync(staleFile), false);
+        assert.equal(fs.readFileSync(path.join(outputRoot, 'list/colors/ink.txt'), 'utf8'), '#102030\n');
+        assert.equal(fs.readFileSync(path.join(outputRoot, 'list/colors.txt'), 'utf8'), 'action\nink\noverlay\nprimary500\n');
+    });
+});
+
+test('createGenerator registers the requested targets', () => {
+    assert.deepEqual(parseTargets(['node', 'generate-swift.js', '--target', 'kotlin, web']), ['kotlin', 'web']);
+    assert.equal(parseTargets(['node', 'generate-swift.js']), undefined);
+
+    assert.deepEqual(createGenerator(['kotlin', 'web']).targets.map(target => target.name), ['kotlin', 'web']);
+    assert.deepEqual(createGenerator().targets.map(target => target.name), ['swift', 'uikit', 'kotlin', 'web', 'typescript']);
+});
@@ -0,0 +1,102 @@
+/**
+ * Token lint rules, their config and the CLI's output formats.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { RULES, resolveConfig, lintTokens, toGitHubAnnotations } = require('../token-lint');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/lint-tokens.json');
+const CONFIG_PATH = path.join(__dirname, 'fixtures/token-lint.json');
+const TOKENS = require(FIXTURE_PATH);
+
+function lint(...args) {
+    return spawnSync(process.execPath, [path.join(__dirname, '../token-lint.js'), FIXTURE_PATH, ...args], { encoding: 'utf8' });
+}
+
+// "<rule> <path>" of every finding, for compact assertions
+function summarize(findings) {
+    return findings.map(({ rule, path: tokenPath }) => `${rule} ${tokenPath}`);
+}
+
+test('every default rule reports its finding', () => {
+    assert.deepEqual(summarize(lintTokens(TOKENS)), [
+        'figma-kebab-case color.brandBlue',
+        'no-duplicate-category-prefix color.colorAccent',
+        'spacing-grid spacing.gapM',
+        'increasing-scale spacing.gapM',
+        'no-duplicate-colors color.colorAccent'
+    ]);
+
+    const [kebab, , grid, scale, duplicate] = lintTokens(TOKENS);
+    assert.equal(kebab.message, 'Figma name "Brand Blue" is not kebab-case, e.g. "brand-blue"');
+    assert.equal(grid.message, '6 is not on the 4pt grid');
+    assert.equal(scale.message, 'gapM (6) should be larger than gapS (8)');
+    // Hex case doesn't hide a duplicate
+    assert.match(duplicate.message, /same value as brandBlue \(#3366ff\)/);
+});
+
+test('rules left out of the config keep their defaults', () => {
+    const rules = resolveConfig({ rules: { 'spacing-grid': ['error', { grid: 8 }], 'no-duplicate-colors': 'off' } });
+
+    assert.deepEqual(rules['spacing-grid'], { severity: 'error', options: { grid: 8, categories: ['spacing'], allow: [] } });
+    assert.equal(rules['no-duplicate-colors'].severity, 'off');
+    assert.equal(rules['description-required'].severity, RULES['description-required'].severity);
+    assert.deepEqual(Object.keys(resolveConfig()), Object.keys(RULES));
+});
+
+test('unknown rules and severities are rejected', () => {
+    assert.throws(() => resolveConfig({ rules: { 'no-tabs': 'warn' } }), /Unknown lint rule "no-tabs"/);
+    assert.throws(() => resolveConfig({ rules: { 'spacing-grid': 'fatal' } }), /Lint rule "spacing-grid": expected severity off, warn, error, got "fatal"/);
+});
+
+test('rule options change what is reported', () => {
+    const findings = lintTokens(TOKENS, {
+        rules: {
+            'spacing-grid': ['error', { grid: 8, allow: [6] }],
+            'description-required': ['warn', { categories: ['color'] }]
+        }
+    });
+
+    assert.ok(!findings.some(finding => finding.rule === 'spacing-grid'));
+    assert.deepEqual(summarize(findings.filter(finding => finding.rule === 'description-required')), ['description-required color.colorAccent']);
+});
+
+test('GitHub annotations escape their message', () => {
+    const annotations = toGitHubAnnotations([
+        { rule: 'spacing-grid', severity: 'error', path: 'spacing.gapM', message: '6 is 75%\nof 8' },
+        { rule: 'increasing-scale', severity: 'warn', path: 'spacing.gapM', message: 'too small' }
+    ], 'tokens/figma-tokens.json');
+
+    assert.equal(annotations, [
+        '::error file=tokens/figma-tokens.json,title=spacing-grid::spacing.gapM: 6 is 75%25%0Aof 8',
+        '::warning file=tokens/figma-tokens.json,title=increasing-scale::spacing.gapM: too small'
+    ].join('\n'));
+});
+
+test('the CLI prints warnings and succeeds', () => {
+    const result = lint();
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /⚠️ {2}spacing\.gapM: 6 is not on the 4pt grid \(spacing-grid\)/);
+    assert.match(result.stdout, /0 errors, 5 warnings/);
+});
+
+test('the CLI fails on errors from its config', () => {
+    const result = lint('--config', CONFIG_PATH, '--format', 'github');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /^::error file=scripts\/test\/fixtures\/lint-tokens\.json,title=spacing-grid::spacing\.gapM: 6 is not on the 8pt grid$/m);
+    assert.doesNotMatch(result.stdout, /figma-kebab-case/);
+});
+
+test('the CLI prints JSON findings and rejects unknown formats', () => {
+    const json = lint('--format', 'json');
+    assert.deepEqual(summarize(JSON.parse(json.stdout)), summarize(lintTokens(TOKENS)));
+
+    const unknown = lint('--format', 'xml');
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /--format expects text, json or github, got "xml"/);
+});
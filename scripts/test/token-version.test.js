@@ -0,0 +1,101 @@
+/**
+ * Semantic versions and deprecated aliases of token releases.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyChanges, bumpVersion, nextVersion, releaseMetadata, describeRelease } = require('../token-version');
+const { diffTokens } = require('../token-diff');
+
+const color = (value, variableId) => ({ value, type: 'color', variableId });
+
+function snapshot(colors, metadata = { version: '1.2.3' }) {
+    return { $metadata: metadata, color: colors };
+}
+
+const PREVIOUS = snapshot({ ink: color('#000000', 'v1'), surface: color('#ffffff', 'v2') });
+
+test('versions are bumped by level', () => {
+    assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+    assert.equal(bumpVersion('1.2.3', 'minor'), '1.3.0');
+    assert.equal(bumpVersion('1.2.3', 'patch'), '1.2.4');
+    assert.equal(bumpVersion('1.2.3', null), '1.2.3');
+    assert.equal(bumpVersion(undefined, 'patch'), '1.0.1');
+});
+
+test('value changes are a patch, additions a minor and removals a major release', () => {
+    const patch = nextVersion(PREVIOUS, snapshot({ ink: color('#111111', 'v1'), surface: color('#ffffff', 'v2') }));
+    assert.deepEqual([patch.version, patch.level, patch.reasons], ['1.2.4', 'patch', ['changed color.ink']]);
+
+    const minor = nextVersion(PREVIOUS, snapshot({ ink: color('#111111', 'v1'), surface: color('#ffffff', 'v2'), accent: color('#0000ff', 'v3') }));
+    assert.deepEqual([minor.version, minor.level, minor.reasons], ['1.3.0', 'minor', ['added color.accent']]);
+
+    const major = nextVersion(PREVIOUS, snapshot({ ink: color('#000000', 'v1') }));
+    assert.deepEqual([major.version, major.level, major.reasons], ['2.0.0', 'major', ['removed color.surface']]);
+});
+
+test('renames keep a deprecated alias and are a minor release', () => {
+    const release = nextVersion(PREVIOUS, snapshot({ text: color('#000000', 'v1'), surface: color('#ffffff', 'v2') }));
+
+    assert.equal(release.version, '1.3.0');
+    assert.deepEqual(release.reasons, ['deprecated color.ink in favor of color.text']);
+    assert.deepEqual(release.deprecations, [
+        { category: 'color', name: 'ink', renamed: 'text', variableId: 'v1', releases: 2, since: '1.3.0' }
+    ]);
+});
+
+test('renames without aliases are a major release', () => {
+    const release = nextVersion(PREVIOUS, snapshot({ text: color('#000000', 'v1'), surface: color('#ffffff', 'v2') }), { aliasReleases: 0 });
+
+    assert.equal(release.version, '2.0.0');
+    assert.deepEqual(release.reasons, ['renamed color.ink → color.text']);
+    assert.deepEqual(release.deprecations, []);
+});
+
+test('renames that keep the Swift identifier need no alias', () => {
+    const diff = diffTokens(
+        snapshot({ primary800: color('#000000', 'v1') }),
+        snapshot({ Primary800: color('#000000', 'v1') })
+    );
+
+    assert.deepEqual(classifyChanges(diff), { level: null, reasons: [] });
+});
+
+test('aliases count down, follow further renames and expire as a major release', () => {
+    const deprecated = { category: 'color', name: 'ink', renamed: 'text', variableId: 'v1', releases: 2, since: '1.3.0' };
+    const previous = snapshot({ text: color('#000000', 'v1'), surface: color('#ffffff', 'v2') }, { version: '1.3.0', deprecations: [deprecated] });
+
+    const renamedAgain = nextVersion(previous, snapshot({ body: color('#000000', 'v1'), surface: color('#ffffff', 'v2') }));
+    assert.equal(renamedAgain.version, '1.4.0');
+    assert.deepEqual(renamedAgain.deprecations, [
+        Object.assign({}, deprecated, { renamed: 'body', releases: 1 }),
+        { category: 'color', name: 'text', renamed: 'body', variableId: 'v1', releases: 2, since: '1.4.0' }
+    ]);
+
+    const lastRelease = snapshot({ text: color('#000000', 'v1'), surface: color('#eeeeee', 'v2') }, { version: '1.3.0', deprecations: [Object.assign({}, deprecated, { releases: 1 })] });
+    const expired = nextVersion(lastRelease, snapshot({ text: color('#000000', 'v1'), surface: color('#dddddd', 'v2') }));
+    assert.equal(expired.version, '2.0.0');
+    assert.deepEqual(expired.reasons, ['removed deprecated color.ink']);
+    assert.deepEqual(expired.deprecations, []);
+});
+
+test('unchanged tokens keep their version and aliases', () => {
+    const deprecations = [{ category: 'color', name: 'old', renamed: 'ink', variableId: 'v1', releases: 1, since: '1.2.0' }];
+    const previous = snapshot(PREVIOUS.color, { version: '1.2.3', deprecations });
+    const release = nextVersion(previous, snapshot(PREVIOUS.color));
+
+    assert.deepEqual(release, { version: '1.2.3', previousVersion: '1.2.3', level: null, reasons: [], deprecations });
+});
+
+test('release metadata and summaries', () => {
+    assert.deepEqual(nextVersion(null, PREVIOUS), { version: '1.0.0', previousVersion: null, level: null, reasons: [], deprecations: [] });
+
+    assert.deepEqual(releaseMetadata({ version: '1.0.0', deprecations: [{}], colorSpace: 'srgb' }, { version: '2.0.0', deprecations: [] }), { version: '2.0.0', colorSpace: 'srgb' });
+
+    assert.equal(describeRelease({ version: '1.0.0', previousVersion: null }), '1.0.0 (first release)');
+    assert.equal(describeRelease({ version: '1.2.3', previousVersion: '1.2.3', level: null }), '1.2.3 (no token changes)');
+    assert.equal(
+        describeRelease({ version: '2.0.0', previousVersion: '1.2.3', level: 'major', reasons: ['removed a', 'removed b', 'removed c', 'removed d'] }),
+        '1.2.3 → 2.0.0 (major: removed a, removed b, removed c, +1 more)'
+    );
+});
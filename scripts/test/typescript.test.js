@@ -0,0 +1,62 @@
+/**
+ * The typed TypeScript/JavaScript token module.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const TypeScriptTarget = require('../targets/typescript');
+
+const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/theme-tokens.json') });
+generator.registerTarget(new TypeScriptTarget({}));
+const files = Object.fromEntries(generator.render().map(({ name, content }) => [name, content]));
+
+// The module is ESM; import it from memory instead of writing it to disk
+function importModule(content) {
+    return import(`data:text/javascript,${encodeURIComponent(content)}`);
+}
+
+test('the module, its declarations and package.json are written to js/', () => {
+    assert.equal(new TypeScriptTarget({}).outputDir, 'js');
+    assert.deepEqual(Object.keys(files), ['tokens.ts', 'tokens.js', 'tokens.d.ts', 'package.json']);
+});
+
+test('the JavaScript module exports frozen, resolved values without private tokens', async () => {
+    const { tokens, modes, default: defaultExport } = await importModule(files['tokens.js']);
+
+    assert.equal(defaultExport, tokens);
+    assert.ok(Object.isFrozen(tokens));
+    assert.deepEqual(tokens.color, { card: '#ffffff', ink: '#102030', surface: '#ffffff' });
+    assert.deepEqual(tokens.spacing, { gutter: 8, s: 8 });
+    assert.deepEqual(tokens.typography.heading, { fontFamily: 'Inter', fontSize: 24, fontWeight: 'semibold', lineHeight: 32, letterSpacing: -0.5 });
+    assert.deepEqual(modes, { light: { color: { surface: '#ffffff' } }, dark: { color: { surface: '#121212' } } });
+});
+
+test('TypeScript gets literal types and a key type per category', () => {
+    const source = files['tokens.ts'];
+
+    assert.match(source, /\} as const;\n\n\/\*\* Values that change per Figma mode \*\/\nexport const modes = \{/);
+    assert.match(source, /export type ColorToken = keyof Tokens\['color'\];/);
+    assert.match(source, /export type SpacingToken = keyof Tokens\['spacing'\];/);
+    assert.match(source, /export type TokenMode = keyof typeof modes;/);
+    assert.doesNotMatch(source, /scrim/);
+});
+
+test('declarations match the module with readonly literal types', () => {
+    const declarations = files['tokens.d.ts'];
+
+    assert.match(declarations, /readonly ink: "#102030";/);
+    assert.match(declarations, /readonly bodySize: 16;/);
+    assert.match(declarations, /readonly letterSpacing: -0\.5;/);
+    assert.match(declarations, /export type BorderRadiusToken = keyof Tokens\['borderRadius'\];/);
+});
+
+test('package.json carries the token file version', () => {
+    const manifest = JSON.parse(files['package.json']);
+
+    assert.equal(manifest.version, '2.1.0');
+    assert.equal(manifest.type, 'module');
+    assert.equal(manifest.main, 'tokens.js');
+    assert.equal(manifest.types, 'tokens.d.ts');
+});
@@ -0,0 +1,57 @@
+/**
+ * UIColor, UIFont and CGFloat output of the UIKit target.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const UIKitTarget = require('../targets/uikit');
+
+function renderFiles(fixture) {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures', fixture) });
+    generator.registerTarget(new UIKitTarget({}));
+    return Object.fromEntries(generator.render().map(({ name, content }) => [name, content]));
+}
+
+const files = renderFiles('theme-tokens.json');
+
+test('UIKit files are written next to the SwiftUI ones', () => {
+    assert.equal(new UIKitTarget({}).outputDir, 'DesignSystem/Tokens');
+    assert.deepEqual(Object.keys(files), ['UIColors.swift', 'UIFonts.swift', 'UIMetrics.swift']);
+    Object.values(files).forEach(content => assert.match(content, /^import UIKit$/m));
+});
+
+test('colors are UIColors, dynamic when they have a dark mode', () => {
+    const colors = files['UIColors.swift'];
+
+    assert.match(colors, /\/\/\/ Body text\n {4}static let ink = UIColor\(red: 0\.063, green: 0\.125, blue: 0\.188, alpha: 1\)\n/);
+    assert.match(colors, /static let surface = UIColor\(light: UIColor\(red: 1, green: 1, blue: 1, alpha: 1\), dark: UIColor\(red: 0\.071, green: 0\.071, blue: 0\.071, alpha: 1\)\)\n/);
+    assert.match(colors, /static let card = UIColor\.surface\n/);
+    assert.match(colors, /fileprivate static let scrim = UIColor\(red: 0, green: 0, blue: 0, alpha: 0\.502\)\n/);
+    assert.match(colors, /convenience init\(light: UIColor, dark: UIColor\)/);
+});
+
+test('fonts are factories with an optional weight override', () => {
+    const fonts = files['UIFonts.swift'];
+
+    assert.match(fonts, /static func bodySize\(weight: UIFont\.Weight\? = nil\) -> UIFont \{\n {8}\.systemFont\(ofSize: 16, weight: weight \?\? \.regular\)\n {4}\}/);
+    assert.match(fonts, /static func heading\(weight: UIFont\.Weight\? = nil\) -> UIFont \{\n {8}UIFont\(descriptor: UIFontDescriptor\(fontAttributes: \[\.family: "Inter", \.traits: \[UIFontDescriptor\.TraitKey\.weight: weight \?\? \.semibold\]\]\), size: 24\)\n/);
+});
+
+test('metrics are CGFloats prefixed by category', () => {
+    const metrics = files['UIMetrics.swift'];
+
+    assert.match(metrics, /extension CGFloat \{/);
+    assert.match(metrics, /static let spacingS: CGFloat = 8\n/);
+    assert.match(metrics, /static let spacingGutter: CGFloat = \.spacingS\n/);
+    assert.match(metrics, /static let borderRadiusRound: CGFloat = 12\n/);
+    assert.match(metrics, /static let typographyHeadingLineHeight: CGFloat = 32\n/);
+    assert.match(metrics, /static let typographyHeadingLetterSpacing: CGFloat = -0\.5\n/);
+});
+
+test('an empty category still writes its extension', () => {
+    const fonts = renderFiles('color-tokens.json')['UIFonts.swift'];
+
+    assert.match(fonts, /extension UIFont \{\n\}/);
+});
@@ -0,0 +1,92 @@
+/**
+ * Schema validation of the token file before generation.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validateTokens } = require('../validate-tokens');
+
+const SCRIPT_PATH = path.join(__dirname, '../validate-tokens.js');
+
+test('valid tokens have no errors', () => {
+    assert.deepEqual(validateTokens({
+        $metadata: { version: '1.0.0', colorSpace: 'display-p3' },
+        color: { brand: { value: '#3366ff', type: 'color', modes: { light: '#3366ff', dark: '#99bbff' } }, action: { value: '{color.brand}', type: 'color' } },
+        typography: { bodySize: { value: 16, type: 'typography' }, heading: { value: { fontSize: 24, fontWeight: 'bold', lineHeight: 32 }, type: 'typography' } },
+        spacing: { m: { value: 16, type: 'spacing', private: true } },
+        opacity: { disabled: { value: 0.4, type: 'opacity', description: 'Disabled controls' } }
+    }), []);
+});
+
+test('every error names the token path, what was expected and what was found', () => {
+    const errors = validateTokens({
+        color: { brand: { value: 12, type: 'color' } },
+        spacing: { m: { value: '16px', type: 'spacing' } },
+        opacity: { half: { value: 50, type: 'opacity' } },
+        typography: { heading: { value: { fontSize: 24, textCase: 'shout' }, type: 'typography' } }
+    });
+
+    assert.deepEqual(errors, [
+        'color.brand.value: expected a hex color like "#1a2b3c", got number 12',
+        'spacing.m.value: expected a number, got string "16px"',
+        'opacity.half.value: expected a number between 0 and 1, got number 50',
+        'typography.heading.value: expected textCase to be one of uppercase, lowercase, capitalize, got an object'
+    ]);
+});
+
+test('structural problems are reported', () => {
+    assert.deepEqual(validateTokens([]), ['tokens: expected an object, got an array']);
+
+    const errors = validateTokens({
+        $metadata: { colorSpace: 'cmyk' },
+        colour: {},
+        spacing: [],
+        color: { brand: '#ffffff', accent: { value: '#ffffff', description: 3, private: 'yes', modes: [] } }
+    });
+
+    assert.deepEqual(errors, [
+        '$metadata.colorSpace: expected one of srgb, display-p3, got string "cmyk"',
+        'colour: unknown token category (expected one of color, typography, spacing, borderRadius, shadow, opacity, boolean, string, gradient)',
+        'spacing: expected an object of tokens, got an array',
+        'color.brand: expected a token object with a "value" field, got string "#ffffff"',
+        'color.accent.description: expected a string, got number 3',
+        'color.accent.private: expected true or false, got string "yes"',
+        'color.accent.modes: expected an object keyed by mode name, got an array'
+    ]);
+});
+
+test('aliases are checked against their resolved value, per mode', () => {
+    const errors = validateTokens({
+        color: {
+            brand: { value: '#3366ff', type: 'color', modes: { light: '#3366ff', dark: 'blue' } },
+            action: { value: '{color.brand}', type: 'color', modes: { light: '{color.brand}', dark: '{color.brand}' } },
+            missing: { value: '{color.nope}', type: 'color' }
+        },
+        spacing: { m: { value: '{color.brand}', type: 'spacing' } }
+    });
+
+    assert.deepEqual(errors, [
+        'color.brand.modes.dark: expected a hex color like "#1a2b3c", got string "blue"',
+        'color.action.modes.dark: expected a hex color like "#1a2b3c", got string "blue" (via alias {color.brand})',
+        'color.missing.value: Unknown alias target {color.nope}',
+        'spacing.m.value: expected a number, got string "#3366ff" (via alias {color.brand})'
+    ]);
+});
+
+test('the CLI exits with status 1 and lists every error', () => {
+    const result = spawnSync(process.execPath, [SCRIPT_PATH, path.join(__dirname, 'fixtures/invalid-tokens.json')], { encoding: 'utf8' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /❌ 2 invalid tokens in invalid-tokens\.json:/);
+    assert.match(result.stderr, /color\.brand\.value: expected a hex color/);
+    assert.match(result.stderr, /spacing\.m\.value: expected a number, got string "16px"/);
+});
+
+test('the CLI accepts valid files', () => {
+    const result = spawnSync(process.execPath, [SCRIPT_PATH, path.join(__dirname, 'fixtures/color-tokens.json')], { encoding: 'utf8' });
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /✅ 4 tokens are valid/);
+});
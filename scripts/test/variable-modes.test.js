@@ -0,0 +1,87 @@
+/**
+ * Every Figma variable mode through the plugin export and the Swift output.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { transformVariablesToTokens, describeCollections } = require('../../figma-plugin/code');
+const TokenGenerator = require('../token-generator');
+const SwiftTarget = require('../targets/swift');
+
+const THEME = {
+    id: 'c1',
+    name: 'Theme',
+    modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark Mode' }],
+    defaultModeId: 'm1'
+};
+const PRIMITIVES = { id: 'c2', name: 'Primitives', modes: [{ modeId: 'm3', name: 'Value' }], defaultModeId: 'm3' };
+
+function colorVariable(id, name, collectionId, valuesByMode) {
+    return { id, key: `key-${id}`, name, resolvedType: 'COLOR', variableCollectionId: collectionId, valuesByMode, scopes: ['ALL_SCOPES'] };
+}
+
+const WHITE = { r: 1, g: 1, b: 1, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+test('every mode of a multi-mode collection is exported, keyed by mode slug', () => {
+    const tokens = transformVariablesToTokens([
+        colorVariable('v1', 'surface', 'c1', { m1: WHITE, m2: BLACK })
+    ], [THEME]);
+
+    assert.deepEqual(tokens.color.surface, {
+        value: '#ffffff',
+        type: 'color',
+        variableId: 'key-v1',
+        originalName: 'surface',
+        resolvedType: 'COLOR',
+        collection: 'Theme',
+        modes: { light: '#ffffff', 'dark-mode': '#000000' }
+    });
+});
+
+test('the value is the default mode, not the last one', () => {
+    const collection = Object.assign({}, THEME, { defaultModeId: 'm2' });
+    const tokens = transformVariablesToTokens([
+        colorVariable('v1', 'surface', 'c1', { m1: WHITE, m2: BLACK })
+    ], [collection]);
+
+    assert.equal(tokens.color.surface.value, '#000000');
+});
+
+test('single-mode collections have no modes', () => {
+    const tokens = transformVariablesToTokens([
+        colorVariable('v1', 'white', 'c2', { m3: WHITE })
+    ], [PRIMITIVES]);
+
+    assert.equal(tokens.color.white.value, '#ffffff');
+    assert.equal(tokens.color.white.modes, undefined);
+});
+
+test('aliases keep their mode-specific targets', () => {
+    const tokens = transformVariablesToTokens([
+        colorVariable('v1', 'white', 'c2', { m3: WHITE }),
+        colorVariable('v2', 'black', 'c2', { m3: BLACK }),
+        colorVariable('v3', 'text', 'c1', { m1: { type: 'VARIABLE_ALIAS', id: 'v2' }, m2: { type: 'VARIABLE_ALIAS', id: 'v1' } })
+    ], [THEME, PRIMITIVES]);
+
+    assert.equal(tokens.color.text.value, '{color.black}');
+    assert.deepEqual(tokens.color.text.modes, { light: '{color.black}', 'dark-mode': '{color.white}' });
+});
+
+test('collections are described with their modes and default mode', () => {
+    assert.deepEqual(describeCollections([THEME, PRIMITIVES]), {
+        Theme: { modes: ['light', 'dark-mode'], defaultMode: 'light' },
+        Primitives: { modes: ['value'], defaultMode: 'value' }
+    });
+});
+
+test('colors with a light and dark mode become adaptive SwiftUI colors', () => {
+    const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/color-tokens.json') });
+    generator.registerTarget(new SwiftTarget({}));
+    const colors = generator.render().find(file => file.name === 'Colors.swift').content;
+
+    assert.match(colors, /static let primary500 = Color\(light: Color\(hex: "#3366ff"\), dark: Color\(hex: "#99bbff"\)\)\n/);
+    assert.match(colors, /init\(light: Color, dark: Color\)/);
+    assert.match(colors, /static let ink = Color\(hex: "#102030"\)\n/);
+});
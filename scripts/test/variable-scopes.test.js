@@ -0,0 +1,68 @@
+/**
+ * Variable scopes and hidden variables (plugin and REST sync).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { categoryFromScopes, transformVariablesToTokens } = require('../../figma-plugin/code');
+
+process.env.FIGMA_ACCESS_TOKEN = process.env.FIGMA_ACCESS_TOKEN || 'test-token';
+process.env.FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'test-file';
+const FigmaSync = require('../sync-figma');
+
+const COLLECTION = { id: 'c1', name: 'Primitives', modes: [{ modeId: 'm1', name: 'Value' }], defaultModeId: 'm1' };
+
+function variable(id, name, scopes, extra = {}) {
+    return Object.assign({
+        id,
+        key: `key-${id}`,
+        name,
+        resolvedType: 'FLOAT',
+        variableCollectionId: 'c1',
+        valuesByMode: { m1: 20 },
+        scopes
+    }, extra);
+}
+
+test('only FONT_SIZE makes a typography token', () => {
+    assert.equal(categoryFromScopes(['FONT_SIZE']), 'typography');
+    assert.equal(categoryFromScopes(['LINE_HEIGHT']), null);
+    assert.equal(categoryFromScopes(['LETTER_SPACING']), null);
+    assert.equal(categoryFromScopes(['FONT_WEIGHT']), null);
+    assert.equal(categoryFromScopes(['FONT_SIZE', 'LINE_HEIGHT']), null);
+});
+
+test('scopes that agree pick the category; mixed or unscoped fall back to names', () => {
+    assert.equal(categoryFromScopes(['GAP', 'WIDTH_HEIGHT']), 'spacing');
+    assert.equal(categoryFromScopes(['CORNER_RADIUS']), 'borderRadius');
+    assert.equal(categoryFromScopes(['OPACITY']), 'opacity');
+    assert.equal(categoryFromScopes(['GAP', 'OPACITY']), null);
+    assert.equal(categoryFromScopes(['ALL_SCOPES']), null);
+    assert.equal(categoryFromScopes([]), null);
+});
+
+test('the plugin exports a LINE_HEIGHT variable as a metric, not a font size', () => {
+    const tokens = transformVariablesToTokens([
+        variable('v1', 'line-height-body', ['LINE_HEIGHT']),
+        variable('v2', 'body-size', ['FONT_SIZE'])
+    ], [COLLECTION]);
+
+    assert.deepEqual(Object.keys(tokens.typography), ['bodySize']);
+    assert.equal(tokens.spacing.lineHeightBody.value, 20);
+    assert.deepEqual(tokens.spacing.lineHeightBody.scopes, ['LINE_HEIGHT']);
+});
+
+test('the REST sync uses the same scope rules as the plugin', () => {
+    const sync = new FigmaSync();
+
+    assert.equal(sync.createTokenPath(variable('v1', 'body/line-height', ['LINE_HEIGHT'])), 'spacing.bodyLineHeight');
+    assert.equal(sync.createTokenPath(variable('v2', 'size', ['FONT_SIZE'])), 'typography.size');
+    assert.equal(sync.createTokenPath(variable('v3', 'gap', ['CORNER_RADIUS'])), 'borderRadius.gap');
+});
+
+test('hidden variables are skipped, or exported as private tokens', () => {
+    const variables = [variable('v1', 'gap-internal', ['GAP'], { hiddenFromPublishing: true })];
+
+    assert.deepEqual(transformVariablesToTokens(variables, [COLLECTION]).spacing, {});
+    assert.equal(transformVariablesToTokens(variables, [COLLECTION], { hiddenVariables: 'private' }).spacing.gapInternal.private, true);
+});
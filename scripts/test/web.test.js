@@ -0,0 +1,79 @@
+/**
+ * CSS custom properties, SCSS and the Tailwind preset of the web target.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenGenerator = require('../token-generator');
+const WebTarget = require('../targets/web');
+
+const generator = new TokenGenerator({ inputPath: path.join(__dirname, 'fixtures/theme-tokens.json') });
+generator.registerTarget(new WebTarget({}));
+const files = Object.fromEntries(generator.render().map(({ name, content }) => [name, content]));
+
+// The preset is a CommonJS module; evaluate it without writing it to disk
+function loadPreset(content) {
+    const module = { exports: {} };
+    new Function('module', 'exports', content)(module, module.exports);
+    return module.exports;
+}
+
+test('web files are written to web/tokens', () => {
+    assert.equal(new WebTarget({}).outputDir, 'web/tokens');
+    assert.deepEqual(Object.keys(files), ['tokens.css', '_tokens.scss', 'tailwind.preset.js']);
+});
+
+test('CSS custom properties use kebab-case names, px units and var() aliases', () => {
+    const css = files['tokens.css'];
+
+    assert.match(css, /:root \{\n {2}--color-card: var\(--color-surface\);\n/);
+    assert.match(css, /--color-scrim: #00000080;/);
+    assert.match(css, /--spacing-s: 8px;/);
+    assert.match(css, /--spacing-gutter: var\(--spacing-s\);/);
+    assert.match(css, /--border-radius-round: 12px;/);
+    assert.match(css, /--typography-body-size: 16px;/);
+});
+
+test('composite typography is split into one property per field', () => {
+    const css = files['tokens.css'];
+
+    assert.match(css, /--typography-heading-font-family: "Inter";/);
+    assert.match(css, /--typography-heading-font-size: 24px;/);
+    assert.match(css, /--typography-heading-font-weight: 600;/);
+    assert.match(css, /--typography-heading-line-height: 32px;/);
+    assert.match(css, /--typography-heading-letter-spacing: -0\.5px;/);
+});
+
+test('dark mode follows the system unless a data-theme is set', () => {
+    const css = files['tokens.css'];
+
+    assert.match(css, /@media \(prefers-color-scheme: dark\) \{\n {2}:root:not\(\[data-theme\]\) \{\n {4}--color-surface: #121212;\n {2}\}\n\}/);
+    assert.match(css, /\[data-theme="light"\] \{\n {2}--color-surface: #ffffff;\n\}/);
+    assert.match(css, /\[data-theme="dark"\] \{\n {2}--color-surface: #121212;\n\}/);
+});
+
+test('SCSS variables are declared before the aliases that use them', () => {
+    const scss = files['_tokens.scss'];
+
+    assert.ok(scss.indexOf('$color-surface: #ffffff;') < scss.indexOf('$color-card: $color-surface;'));
+    assert.ok(scss.indexOf('$spacing-s: 8px;') < scss.indexOf('$spacing-gutter: $spacing-s;'));
+    assert.match(scss, /'color': \(\n {4}'card': \$color-card,/);
+    assert.match(scss, /\$token-modes: \(\n {2}'light': \(\n {4}'color-surface': #ffffff,\n {2}\),\n {2}'dark': \(\n {4}'color-surface': #121212,/);
+});
+
+test('the Tailwind preset points at the custom properties and leaves out private tokens', () => {
+    const { theme } = loadPreset(files['tailwind.preset.js']);
+
+    assert.deepEqual(theme.extend.colors, { card: 'var(--color-card)', ink: 'var(--color-ink)', surface: 'var(--color-surface)' });
+    assert.deepEqual(theme.extend.spacing, { gutter: 'var(--spacing-gutter)', s: 'var(--spacing-s)' });
+    assert.deepEqual(theme.extend.borderRadius, { round: 'var(--border-radius-round)' });
+    assert.deepEqual(theme.extend.fontSize.heading, [
+        'var(--typography-heading-font-size)',
+        {
+            lineHeight: 'var(--typography-heading-line-height)',
+            letterSpacing: 'var(--typography-heading-letter-spacing)',
+            fontWeight: 'var(--typography-heading-font-weight)'
+        }
+    ]);
+});
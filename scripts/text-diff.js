@@ -0,0 +1,88 @@
+/**
+ * Text Diff
+ *
+ * Minimal line diff for showing how a generated file differs from the one
+ * on disk. Output follows the unified diff format so it reads like `git diff`.
+ */
+
+// Longest-common-subsequence edit script: [{ type: ' ' | '-' | '+', line }]
+function diffLines(before, after) {
+    const rows = before.length;
+    const cols = after.length;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+        if (i < rows && j < cols && before[i] === after[j]) {
+            edits.push({ type: ' ', line: before[i++] });
+            j++;
+        } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            edits.push({ type: '-', line: before[i++] });
+        } else {
+            edits.push({ type: '+', line: after[j++] });
+        }
+    }
+
+    return edits;
+}
+
+/**
+ * Unified diff between two texts, with `context` unchanged lines around
+ * each change. Returns an empty string when the texts are equal.
+ */
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+    if (before === after) return '';
+
+    const edits = diffLines(before.split('\n'), after.split('\n'));
+
+    // Line numbers of each edit in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    edits.forEach(edit => {
+        edit.oldLine = oldLine;
+        edit.newLine = newLine;
+        if (edit.type !== '+') oldLine++;
+        if (edit.type !== '-') newLine++;
+    });
+
+    // Group changes that are close together into hunks
+    const hunks = [];
+    edits.forEach((edit, index) => {
+        if (edit.type === ' ') return;
+
+        const start = Math.max(0, index - context);
+        const end = Math.min(edits.length, index + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            hunks.push({ start, end });
+        }
+    });
+
+    const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+    hunks.forEach(({ start, end }) => {
+        const hunk = edits.slice(start, end);
+        const oldCount = hunk.filter(edit => edit.type !== '+').length;
+        const newCount = hunk.filter(edit => edit.type !== '-').length;
+
+        lines.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`);
+        hunk.forEach(edit => lines.push(`${edit.type}${edit.line}`));
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    unifiedDiff
+};
@@ -0,0 +1,57 @@
+/**
+ * Token Colors
+ *
+ * Parsing and formatting for color token values. Colors are `#rrggbb` hex,
+ * or `#rrggbbaa` when translucent. The hex components are in the document's
+ * color space, `$metadata.colorSpace`: "srgb" (the default) or "display-p3".
+ */
+
+const COLOR_SPACES = ['srgb', 'display-p3'];
+
+/**
+ * Parse `#rgb`, `#rrggbb` or `#rrggbbaa` into 0-255 channels and a 0-1 alpha.
+ * Returns null for anything else.
+ */
+function parseHexColor(value) {
+    const match = typeof value === 'string' && value.match(/^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (!match) return null;
+
+    let hex = match[1];
+    if (hex.length === 3) {
+        hex = hex.split('').map(digit => digit + digit).join('');
+    }
+
+    return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? Math.round(parseInt(hex.slice(6, 8), 16) / 255 * 1000) / 1000 : 1
+    };
+}
+
+function toHexByte(channel) {
+    return Math.round(channel).toString(16).padStart(2, '0');
+}
+
+// Color space the token file's colors are written in
+function colorSpaceOf(tokens) {
+    return (tokens && tokens.$metadata && tokens.$metadata.colorSpace) || 'srgb';
+}
+
+/**
+ * 0-1 components of a hex color, rounded for generated code:
+ * "#ff800080" -> { red: 1, green: 0.502, blue: 0, alpha: 0.502 }
+ */
+function colorComponents(value) {
+    const { r, g, b, a } = parseHexColor(value);
+    const component = (channel) => Math.round(channel / 255 * 1000) / 1000;
+    return { red: component(r), green: component(g), blue: component(b), alpha: a };
+}
+
+module.exports = {
+    COLOR_SPACES,
+    parseHexColor,
+    toHexByte,
+    colorSpaceOf,
+    colorComponents
+};
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Token Diff
+ *
+ * Compares two snapshots of figma-tokens.json and reports added, removed,
+ * renamed and value-changed tokens by category. Renames are matched through
+ * the `variableId` the plugin stores, which survives renaming in Figma.
+ *
+ * Usage: node token-diff.js <before> [after] [--json]
+ *
+ * Each snapshot is a file path or a git revision (`HEAD~1`, `v1.2.0`), read as
+ * tokens/figma-tokens.json at that revision. `after` defaults to the working
+ * copy. Prints a Markdown changelog for release notes and workflow summaries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isDTCG, fromDTCG } = require('./token-formats');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const TOKENS_FILE = 'tokens/figma-tokens.json';
+
+/**
+ * Read a snapshot from a file path or a git revision. Snapshots are not
+ * validated, since older releases may predate the current schema.
+ */
+function loadSnapshot(source) {
+    let content;
+
+    if (fs.existsSync(source)) {
+        content = fs.readFileSync(source, 'utf8');
+    } else {
+        try {
+            content = execFileSync('git', ['show', `${source}:${TOKENS_FILE}`], {
+                cwd: REPO_ROOT,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+        } catch (error) {
+            throw new Error(`${source} is neither a token file nor a git revision with ${TOKENS_FILE}`);
+        }
+    }
+
+    const parsed = JSON.parse(content);
+    return isDTCG(parsed) ? fromDTCG(parsed) : parsed;
+}
+
+// Every token of a snapshot: [{ category, name, token }]
+function listTokens(tokens) {
+    return Object.entries(tokens || {})
+        .filter(([category, group]) => !category.startsWith('$') && group && typeof group === 'object')
+        .flatMap(([category, group]) => Object.entries(group).map(([name, token]) => ({ category, name, token })));
+}
+
+// JSON with sorted keys, so values compare equal regardless of key order
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Value differences between two versions of a token:
+ * [{ mode, before, after }], where mode is null for the default value.
+ */
+function valueChanges(before, after) {
+    const changes = [];
+
+    if (stableStringify(before.value) !== stableStringify(after.value)) {
+        changes.push({ mode: null, before: before.value, after: after.value });
+    }
+
+    const modes = new Set(Object.keys(before.modes || {}).concat(Object.keys(after.modes || {})));
+    modes.forEach(mode => {
+        const beforeValue = (before.modes || {})[mode];
+        const afterValue = (after.modes || {})[mode];
+        if (stableStringify(beforeValue) !== stableStringify(afterValue)) {
+            changes.push({ mode, before: beforeValue, after: afterValue });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Compare two token snapshots. Returns
+ * {
+ *   added:   [{ category, name, token }],
+ *   removed: [{ category, name, token }],
+ *   renamed: [{ category, name, from: { category, name }, token, changes }],
+ *   changed: [{ category, name, token, changes }]
+ * }
+ * where `changes` lists the value differences from valueChanges().
+ */
+function diffTokens(before, after) {
+    const beforeTokens = listTokens(before);
+    const afterTokens = listTokens(after);
+    const key = ({ category, name }) => `${category}.${name}`;
+
+    const beforeByKey = new Map(beforeTokens.map(entry => [key(entry), entry]));
+    const afterByKey = new Map(afterTokens.map(entry => [key(entry), entry]));
+
+    const diff = { added: [], removed: [], renamed: [], changed: [] };
+
+    afterTokens.forEach(entry => {
+        const previous = beforeByKey.get(key(entry));
+        if (!previous) return;
+
+        const changes = valueChanges(previous.token, entry.token);
+        if (changes.length > 0) {
+            diff.changed.push({ ...entry, changes });
+        }
+    });
+
+    const removed = beforeTokens.filter(entry => !afterByKey.has(key(entry)));
+    const added = afterTokens.filter(entry => !beforeByKey.has(key(entry)));
+
+    // A removed and an added token with the same variableId are one renamed variable
+    const removedById = new Map(removed.filter(entry => entry.token.variableId).map(entry => [entry.token.variableId, entry]));
+    const renamedIds = new Set();
+
+    added.forEach(entry => {
+        const previous = entry.token.variableId && removedById.get(entry.token.variableId);
+        if (previous) {
+            renamedIds.add(entry.token.variableId);
+            diff.renamed.push({
+                category: entry.category,
+                name: entry.name,
+                from: { category: previous.category, name: previous.name },
+                token: entry.token,
+                changes: valueChanges(previous.token, entry.token)
+            });
+        } else {
+            diff.added.push(entry);
+        }
+    });
+
+    diff.removed = removed.filter(entry => !renamedIds.has(entry.token.variableId));
+
+    return diff;
+}
+
+function hasChanges(diff) {
+    return Object.values(diff).some(entries => entries.length > 0);
+}
+
+function formatValue(value) {
+    if (value === undefined) return '_none_';
+    return `\`${typeof value === 'object' ? stableStringify(value) : value}\``;
+}
+
+function formatChanges(changes) {
+    return changes
+        .map(({ mode, before, after }) => `${mode ? `${mode}: ` : ''}${formatValue(before)} → ${formatValue(after)}`)
+        .join('<br>');
+}
+
+/**
+ * Markdown changelog with one table per category. `from` and `to` label
+ * the compared snapshots in the heading.
+ */
+function toMarkdown(diff, { from, to } = {}) {
+    const lines = ['## 🎨 Design token changes', ''];
+
+    if (from && to) {
+        lines.push(`Comparing \`${from}\` → \`${to}\``, '');
+    }
+
+    if (!hasChanges(diff)) {
+        lines.push('No token changes.');
+        return `${lines.join('\n')}\n`;
+    }
+
+    lines.push(`**${diff.added.length} added, ${diff.removed.length} removed, ${diff.renamed.length} renamed, ${diff.changed.length} changed**`);
+
+    const rows = {};
+    const addRow = (category, row) => {
+        (rows[category] = rows[category] || []).push(row);
+    };
+
+    diff.added.forEach(({ category, name, token }) => {
+        addRow(category, `| ➕ Added | \`${name}\` | ${formatValue(token.value)} |`);
+    });
+    diff.removed.forEach(({ category, name, token }) => {
+        addRow(category, `| ➖ Removed | \`${name}\` | ${formatValue(token.value)} |`);
+    });
+    diff.renamed.forEach(({ category, name, from: previous, changes }) => {
+        const previousName = previous.category === category ? previous.name : `${previous.category}.${previous.name}`;
+        addRow(category, `| ✏️ Renamed | \`${previousName}\` → \`${name}\` | ${formatChanges(changes)} |`);
+    });
+    diff.changed.forEach(({ category, name, changes }) => {
+        addRow(category, `| 🔄 Changed | \`${name}\` | ${formatChanges(changes)} |`);
+    });
+
+    Object.keys(rows).sort().forEach(category => {
+        lines.push('', `### ${category}`, '', '| Change | Token | Value |', '| --- | --- | --- |', ...rows[category]);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// Run the diff
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const [from, to = TOKENS_FILE] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!from) {
+        console.error('Usage: node token-diff.js <before> [after] [--json]');
+        process.exit(1);
+    }
+
+    try {
+        // Relative file paths are taken from the repo root, like git revisions
+        const resolve = (source) => fs.existsSync(path.resolve(REPO_ROOT, source)) ? path.resolve(REPO_ROOT, source) : source;
+        const diff = diffTokens(loadSnapshot(resolve(from)), loadSnapshot(resolve(to)));
+
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(diff, null, 2));
+        } else {
+            process.stdout.write(toMarkdown(diff, { from, to }));
+        }
+    } catch (error) {
+        console.error(`❌ Token diff failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    loadSnapshot,
+    diffTokens,
+    hasChanges,
+    toMarkdown
+};
@@ -0,0 +1,160 @@
+/**
+ * Token Formats
+ *
+ * Converts between the plugin's token format
+ * (`{ value, type, variableId, originalName, resolvedType }`) and the
+ * W3C Design Tokens Community Group format (`$value`, `$type`, `$description`).
+ * Figma-specific fields travel in `$extensions["com.figma"]`.
+ */
+
+const { parseReference, toReference } = require('./token-references');
+const { parseHexColor } = require('./token-colors');
+
+// The plugin writes DTCG files itself and can't load modules, so it holds the writer
+const { dtcgType, toDTCGTokens } = require('../figma-plugin/code');
+
+const FIGMA_EXTENSION = 'com.figma';
+const CATEGORIES = ['color', 'typography', 'spacing', 'borderRadius', 'shadow', 'opacity', 'gradient', 'boolean', 'string'];
+
+// DTCG types whose string values ("8px", "0.5") are read back as numbers
+const NUMERIC_TYPES = ['dimension', 'number'];
+
+// Category a DTCG token lands in when its top-level group isn't one of ours
+const CATEGORY_BY_DTCG_TYPE = {
+    color: 'color',
+    dimension: 'spacing',
+    number: 'opacity',
+    shadow: 'shadow',
+    typography: 'typography',
+    fontFamily: 'typography',
+    fontWeight: 'typography'
+};
+
+function isDTCG(tokens) {
+    const hasValue = (node) => node && typeof node === 'object' &&
+        ('$value' in node || Object.entries(node).some(([key, child]) => !key.startsWith('$') && hasValue(child)));
+
+    return Object.entries(tokens).some(([key, group]) => !key.startsWith('$') && hasValue(group));
+}
+
+function fromDTCGValue(type, value) {
+    if (parseReference(value)) return value;
+
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?(px|pt|rem)?$/.test(value) && NUMERIC_TYPES.includes(type)) {
+        return parseFloat(value);
+    }
+
+    if (value && typeof value === 'object') {
+        if ('value' in value && 'unit' in value) {
+            return value.value;
+        }
+
+        if (type === 'shadow') {
+            if (Array.isArray(value)) return value.map(layer => fromDTCGValue('shadow', layer));
+
+            // An 8-digit hex color carries the layer's opacity
+            const color = parseHexColor(value.color);
+            const layer = {
+                offset: { x: fromDTCGValue('dimension', value.offsetX), y: fromDTCGValue('dimension', value.offsetY) },
+                blur: fromDTCGValue('dimension', value.blur),
+                spread: fromDTCGValue('dimension', value.spread || 0),
+                color: color && color.a < 1 ? value.color.slice(0, -2) : value.color,
+                opacity: color ? color.a : 1
+            };
+            if (value.inset) layer.inset = true;
+            return layer;
+        }
+
+        if (type === 'typography') {
+            return Object.assign({}, value, {
+                fontSize: fromDTCGValue('dimension', value.fontSize),
+                lineHeight: value.lineHeight === undefined ? undefined : fromDTCGValue('dimension', value.lineHeight),
+                letterSpacing: value.letterSpacing === undefined ? undefined : fromDTCGValue('dimension', value.letterSpacing)
+            });
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Read a DTCG document into the plugin's token format.
+ * Nested groups are flattened into camelCase names (`color.brand.primary` ->
+ * `color.brandPrimary`) and references are rewritten to match.
+ */
+function fromDTCG(document) {
+    const tokens = {};
+    const leaves = [];
+
+    const walk = (node, groupPath, inheritedType) => {
+        const type = node.$type || inheritedType;
+
+        if ('$value' in node) {
+            leaves.push({ path: groupPath, node, type });
+            return;
+        }
+
+        Object.entries(node).forEach(([key, child]) => {
+            if (!key.startsWith('$') && child && typeof child === 'object') {
+                walk(child, groupPath.concat(key), type);
+            }
+        });
+    };
+
+    Object.entries(document).forEach(([key, group]) => {
+        if (key.startsWith('$')) {
+            tokens[key] = group;
+        } else if (group && typeof group === 'object') {
+            walk(group, [key], group.$type);
+        }
+    });
+
+    CATEGORIES.forEach(category => {
+        tokens[category] = tokens[category] || {};
+    });
+
+    // Map every DTCG path to its flattened category and name first, so references can be rewritten
+    const targets = {};
+    leaves.forEach(leaf => {
+        const [group, ...rest] = leaf.path;
+        const category = CATEGORIES.includes(group) ? group : (CATEGORY_BY_DTCG_TYPE[leaf.type] || 'spacing');
+        const nameParts = CATEGORIES.includes(group) ? rest : leaf.path;
+        const name = nameParts
+            .map((part, index) => index === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+
+        leaf.category = category;
+        leaf.name = name;
+        targets[leaf.path.join('.')] = toReference(category, name);
+    });
+
+    const convert = (type, value) => {
+        if (typeof value === 'string') {
+            const match = value.match(/^\{(.+)\}$/);
+            if (match && targets[match[1]]) return targets[match[1]];
+        }
+        return fromDTCGValue(type, value);
+    };
+
+    leaves.forEach(({ node, type: declaredType, category, name }) => {
+        // Untyped tokens take the type their category is written with
+        const type = declaredType || dtcgType(category, { value: node.$value, originalName: name });
+        const extension = (node.$extensions && node.$extensions[FIGMA_EXTENSION]) || {};
+        const token = Object.assign({ value: convert(type, node.$value), type: category }, extension);
+
+        if (node.$description) token.description = node.$description;
+        if (extension.modes) {
+            token.modes = Object.fromEntries(Object.entries(extension.modes).map(([mode, value]) => [mode, convert(type, value)]));
+        }
+
+        tokens[category][name] = token;
+    });
+
+    return tokens;
+}
+
+module.exports = {
+    isDTCG,
+    toDTCG: toDTCGTokens,
+    fromDTCG
+};
@@ -0,0 +1,192 @@
+/**
+ * Token Generator
+ *
+ * Loads and validates figma-tokens.json once, then runs every registered
+ * output target. A target is an object with:
+ *
+ *   name       - short identifier used in logs and --target filters
+ *   outputDir  - directory its files are written to, relative to the repo root
+ *   files      - [{ name, categories, generate(tokens) -> string }], or a
+ *                function of the tokens returning that list
+ *                '*' in categories means the file covers every category
+ *   ownedDirs  - optional directories (relative to outputDir) the target
+ *                fully owns; they are cleared before writing so removed
+ *                tokens don't leave stale files behind
+ *
+ * Platform outputs are added by registering another target instead of
+ * copying the generator.
+ *
+ * Output is deterministic: tokens are sorted by name and file headers carry
+ * a content hash instead of a timestamp, so `check()` can compare a fresh
+ * render with the files on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadValidatedTokens } = require('./validate-tokens');
+const { stampContentHash } = require('./targets/shared');
+const { unifiedDiff } = require('./text-diff');
+
+const TOKENS_INPUT_PATH = path.join(__dirname, '../tokens/figma-tokens.json');
+const REPO_ROOT = path.join(__dirname, '..');
+
+class TokenGenerator {
+    constructor(options = {}) {
+        this.inputPath = options.inputPath || TOKENS_INPUT_PATH;
+        this.outputRoot = options.outputRoot || REPO_ROOT;
+        this.targets = [];
+        this.tokens = this.loadTokens();
+    }
+
+    loadTokens() {
+        if (!fs.existsSync(this.inputPath)) {
+            console.error('❌ No tokens file found. Export tokens with the Figma plugin or run a sync script first.');
+            process.exit(1);
+        }
+
+        // Exits with every schema error before any file is written
+        return this.sortTokens(loadValidatedTokens(this.inputPath));
+    }
+
+    // Tokens in name order within each category, so Figma's export order doesn't reorder the output
+    sortTokens(tokens) {
+        const sorted = {};
+
+        Object.entries(tokens).forEach(([category, group]) => {
+            if (category.startsWith('$')) {
+                sorted[category] = group;
+                return;
+            }
+
+            sorted[category] = {};
+            Object.keys(group).sort().forEach(name => {
+                sorted[category][name] = group[name];
+            });
+        });
+
+        return sorted;
+    }
+
+    registerTarget(target) {
+        this.targets.push(target);
+        return this;
+    }
+
+    // Token categories that hold tokens but that no registered target writes
+    uncoveredCategories() {
+        const covered = new Set();
+        this.targets.forEach(target => {
+            this.filesOf(target).forEach(file => file.categories.forEach(category => covered.add(category)));
+        });
+
+        if (covered.has('*')) return [];
+
+        return Object.entries(this.tokens)
+            .filter(([category, group]) => !category.startsWith('$') && !covered.has(category) && Object.keys(group).length > 0)
+            .map(([category]) => category);
+    }
+
+    filesOf(target) {
+        return typeof target.files === 'function' ? target.files(this.tokens) : target.files;
+    }
+
+    // Render every target's files in memory: [{ target, name, filePath, content }]
+    render() {
+        return this.targets.flatMap(target => this.filesOf(target).map(file => ({
+            target: target.name,
+            name: file.name,
+            filePath: path.join(this.outputRoot, target.outputDir, file.name),
+            content: stampContentHash(file.generate(this.tokens))
+        })));
+    }
+
+    // Files under a target's ownedDirs on disk, as absolute paths
+    ownedFiles(target) {
+        const files = [];
+        const walk = (dir) => {
+            if (!fs.existsSync(dir)) return;
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else {
+                    files.push(entryPath);
+                }
+            });
+        };
+
+        (target.ownedDirs || []).forEach(dir => walk(path.join(this.outputRoot, target.outputDir, dir)));
+        return files;
+    }
+
+    /**
+     * Render in memory and compare with the files on disk without writing.
+     * Prints a diff for every file that is out of date and returns the
+     * drifted files: [{ name, target, status: 'changed' | 'missing' | 'stale' }]
+     */
+    check() {
+        console.log(`🔍 Checking generated files (${this.targets.map(target => target.name).join(', ')})...`);
+
+        const files = this.render();
+        const drift = [];
+
+        files.forEach(({ target, name, filePath, content }) => {
+            const relativePath = path.relative(this.outputRoot, filePath);
+
+            if (!fs.existsSync(filePath)) {
+                drift.push({ name, target, status: 'missing' });
+                console.log(`❌ ${relativePath} is missing`);
+                return;
+            }
+
+            const current = fs.readFileSync(filePath, 'utf8');
+            if (current === content) {
+                console.log(`✓ ${relativePath} is up to date`);
+                return;
+            }
+
+            drift.push({ name, target, status: 'changed' });
+            console.log(`❌ ${relativePath} is out of date`);
+            console.log(unifiedDiff(current, content, { fromFile: `a/${relativePath}`, toFile: `b/${relativePath}` }));
+        });
+
+        // Files left in owned directories would be deleted by the next generation
+        const rendered = new Set(files.map(({ filePath }) => filePath));
+        this.targets.forEach(target => {
+            this.ownedFiles(target).filter(filePath => !rendered.has(filePath)).forEach(filePath => {
+                drift.push({ name: path.basename(filePath), target: target.name, status: 'stale' });
+                console.log(`❌ ${path.relative(this.outputRoot, filePath)} is no longer generated`);
+            });
+        });
+
+        return drift;
+    }
+
+    generateAll() {
+        console.log(`🎨 Generating design token files (${this.targets.map(target => target.name).join(', ')})...`);
+
+        const uncovered = this.uncoveredCategories();
+        if (uncovered.length > 0) {
+            console.warn(`⚠️  No output target for: ${uncovered.join(', ')}`);
+        }
+
+        const files = this.render();
+
+        this.targets.forEach(target => {
+            (target.ownedDirs || []).forEach(dir => {
+                fs.rmSync(path.join(this.outputRoot, target.outputDir, dir), { recursive: true, force: true });
+            });
+        });
+
+        files.forEach(({ target, name, filePath, content }) => {
+            // Ensure output directory exists
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content);
+            console.log(`✓ Generated ${name} (${target})`);
+        });
+
+        return files;
+    }
+}
+
+module.exports = TokenGenerator;
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Token Lint
+ *
+ * Style rules on top of schema validation: naming conventions, the spacing
+ * grid, steadily increasing scales, duplicate colors and descriptions.
+ * `lintTokens()` takes tokens in the plugin's format, so it runs on the
+ * output of `transformVariablesToTokens` as well as on figma-tokens.json.
+ *
+ * Rules are configured in tokens/token-lint.json, like ESLint:
+ *
+ *   { "rules": { "spacing-grid": ["error", { "grid": 8 }], "description-required": "warn" } }
+ *
+ * Each rule is "off", "warn" or "error", optionally with options. Rules
+ * left out keep their default severity.
+ *
+ * Usage: node token-lint.js [tokens file] [--config <file>] [--format text|json|github]
+ *
+ * `json` prints every finding as JSON and `github` as workflow annotations.
+ * Exits with status 1 when any finding is an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadValidatedTokens } = require('./validate-tokens');
+const { parseReference, resolveReference } = require('./token-references');
+const { parseHexColor, toHexByte } = require('./token-colors');
+
+const TOKENS_INPUT_PATH = path.join(__dirname, '../tokens/figma-tokens.json');
+const CONFIG_PATH = path.join(__dirname, '../tokens/token-lint.json');
+const REPO_ROOT = path.join(__dirname, '..');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+const KEBAB_CASE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// T-shirt sizes in scale order; extra x's go further out (xxs, xxl)
+const SIZE_RANKS = { xs: -2, s: -1, sm: -1, small: -1, m: 0, md: 0, medium: 0, base: 0, l: 1, lg: 1, large: 1, xl: 2 };
+
+// Every token of the given categories (all when omitted): [{ category, name, token }]
+function tokenEntries(tokens, categories) {
+    return Object.entries(tokens)
+        .filter(([category, group]) => !category.startsWith('$') && group && typeof group === 'object')
+        .filter(([category]) => !categories || categories.includes(category))
+        .flatMap(([category, group]) => Object.entries(group).map(([name, token]) => ({ category, name, token })));
+}
+
+// Lowercase words of a camelCase name: "borderRadius" -> ["border", "radius"]
+function nameWords(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([a-zA-Z])([0-9])/g, '$1 $2').toLowerCase().split(' ');
+}
+
+// "Primary 800" or "buttonBackground" -> "primary-800", "button-background"
+function toKebabCase(segment) {
+    return segment.trim()
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/[^A-Za-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase();
+}
+
+// The default value and every mode value of a token, aliases resolved: [{ mode, value }]
+function resolvedValues(tokens, token) {
+    return [{ mode: null, value: token.value }]
+        .concat(Object.entries(token.modes || {}).map(([mode, value]) => ({ mode, value })))
+        .map(({ mode, value }) => ({ mode, value: resolveReference(tokens, value, mode || undefined) }));
+}
+
+/**
+ * Position of a token in its scale: { stem, rank } for "spacingM" or
+ * "radius200", null when the name has no size.
+ */
+function scalePosition(name) {
+    const words = nameWords(name);
+    const last = words[words.length - 1];
+    const stem = words.slice(0, -1).join(' ');
+
+    if (/^\d+$/.test(last)) return { stem, rank: Number(last) };
+
+    const extraX = last.match(/^x+(?=x[sl]$)/);
+    const size = extraX ? last.slice(extraX[0].length) : last;
+    if (!(size in SIZE_RANKS)) return null;
+
+    const rank = SIZE_RANKS[size];
+    return { stem, rank: rank + Math.sign(rank) * (extraX ? extraX[0].length : 0) };
+}
+
+/**
+ * Built-in rules. `check(tokens, options)` returns findings without a
+ * severity: [{ category, name, message }].
+ */
+const RULES = {
+    'figma-kebab-case': {
+        description: 'Figma variable and style names use kebab-case in every group',
+        severity: 'warn',
+        options: {},
+        check(tokens) {
+            return tokenEntries(tokens)
+                .filter(({ token }) => token.originalName)
+                .filter(({ token }) => !token.originalName.split('/').every(segment => KEBAB_CASE.test(segment.trim())))
+                .map(({ category, name, token }) => ({
+                    category,
+                    name,
+                    message: `Figma name "${token.originalName}" is not kebab-case, e.g. "${token.originalName.split('/').map(toKebabCase).join('/')}"`
+                }));
+        }
+    },
+
+    'no-duplicate-category-prefix': {
+        description: 'Token names don\'t repeat their category ("color/color-primary")',
+        severity: 'warn',
+        options: {},
+        check(tokens) {
+            return tokenEntries(tokens)
+                .filter(({ category, name }) => {
+                    const categoryWords = nameWords(category);
+                    const words = nameWords(name);
+                    return words.length > categoryWords.length && categoryWords.every((word, index) => words[index] === word);
+                })
+                .map(({ category, name }) => ({
+                    category,
+                    name,
+                    message: `${name} repeats its category "${category}"`
+                }));
+        }
+    },
+
+    'spacing-grid': {
+        description: 'Spacing values are multiples of the grid',
+        severity: 'warn',
+        options: { grid: 4, categories: ['spacing'], allow: [] },
+        check(tokens, { grid, categories, allow }) {
+            return tokenEntries(tokens, categories).flatMap(({ category, name, token }) => resolvedValues(tokens, token)
+                .filter(({ value }) => typeof value === 'number' && value % grid !== 0 && !allow.includes(value))
+                .map(({ mode, value }) => ({
+                    category,
+                    name,
+                    message: `${value}${mode ? ` (${mode})` : ''} is not on the ${grid}pt grid`
+                })));
+        }
+    },
+
+    'increasing-scale': {
+        description: 'Sized tokens (xs…xl, 100…900) increase with their size',
+        severity: 'warn',
+        options: { categories: ['spacing', 'borderRadius'] },
+        check(tokens, { categories }) {
+            const scales = {};
+            tokenEntries(tokens, categories).forEach(entry => {
+                const position = scalePosition(entry.name);
+                const value = resolveReference(tokens, entry.token.value);
+                if (!position || typeof value !== 'number') return;
+
+                const key = `${entry.category}.${position.stem}`;
+                (scales[key] = scales[key] || []).push(Object.assign({ rank: position.rank, value }, entry));
+            });
+
+            return Object.values(scales).flatMap(scale => {
+                const ordered = scale.sort((a, b) => a.rank - b.rank);
+                return ordered
+                    .map((entry, index) => ({ entry, previous: ordered[index - 1] }))
+                    .filter(({ entry, previous }) => previous && entry.value <= previous.value)
+                    .map(({ entry, previous }) => ({
+                        category: entry.category,
+                        name: entry.name,
+                        message: `${entry.name} (${entry.value}) should be larger than ${previous.name} (${previous.value})`
+                    }));
+            });
+        }
+    },
+
+    'no-duplicate-colors': {
+        description: 'No two color tokens hold the same value; alias one to the other instead',
+        severity: 'warn',
+        options: {},
+        check(tokens) {
+            const normalize = (value) => {
+                const color = parseHexColor(value);
+                return color ? `#${[color.r, color.g, color.b].map(toHexByte).join('')}${color.a < 1 ? toHexByte(color.a * 255) : ''}` : value;
+            };
+
+            const seen = {};
+            return tokenEntries(tokens, ['color'])
+                .filter(({ token }) => !parseReference(token.value))
+                .flatMap(({ category, name, token }) => {
+                    const key = JSON.stringify(resolvedValues(tokens, token).map(({ mode, value }) => [mode, normalize(value)]));
+                    if (!seen[key]) {
+                        seen[key] = name;
+                        return [];
+                    }
+
+                    return [{
+                        category,
+                        name,
+                        message: `${name} has the same value as ${seen[key]} (${normalize(token.value)}); make it an alias of ${seen[key]}`
+                    }];
+                });
+        }
+    },
+
+    'description-required': {
+        description: 'Every token has a description',
+        severity: 'off',
+        options: { categories: null },
+        check(tokens, { categories }) {
+            return tokenEntries(tokens, categories)
+                .filter(({ token }) => !token.description)
+                .map(({ category, name }) => ({
+                    category,
+                    name,
+                    message: `${name} has no description`
+                }));
+        }
+    }
+};
+
+/**
+ * Severity and options of every rule from a config:
+ * { [rule]: { severity, options } }. Throws on unknown rules and severities.
+ */
+function resolveConfig(config = {}) {
+    const configured = config.rules || {};
+
+    Object.keys(configured).forEach(rule => {
+        if (!RULES[rule]) {
+            throw new Error(`Unknown lint rule "${rule}" (expected one of ${Object.keys(RULES).join(', ')})`);
+        }
+    });
+
+    return Object.fromEntries(Object.entries(RULES).map(([rule, definition]) => {
+        const setting = configured[rule] === undefined ? definition.severity : configured[rule];
+        const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Lint rule "${rule}": expected severity ${SEVERITIES.join(', ')}, got "${severity}"`);
+        }
+
+        return [rule, { severity, options: Object.assign({}, definition.options, options) }];
+    }));
+}
+
+/**
+ * Run every enabled rule. Returns findings in rule order:
+ * [{ rule, severity, category, name, path, message }]
+ */
+function lintTokens(tokens, config) {
+    const rules = resolveConfig(config);
+
+    return Object.entries(rules)
+        .filter(([, { severity }]) => severity !== 'off')
+        .flatMap(([rule, { severity, options }]) => RULES[rule].check(tokens, options).map(finding => ({
+            rule,
+            severity,
+            category: finding.category,
+            name: finding.name,
+            path: `${finding.category}.${finding.name}`,
+            message: finding.message
+        })));
+}
+
+function toText(findings) {
+    return findings
+        .map(({ severity, path: tokenPath, message, rule }) => `${severity === 'error' ? '❌' : '⚠️ '} ${tokenPath}: ${message} (${rule})`)
+        .join('\n');
+}
+
+// GitHub Actions workflow commands, shown as annotations on the token file
+function toGitHubAnnotations(findings, file) {
+    const escape = (text) => String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+    return findings
+        .map(({ severity, path: tokenPath, message, rule }) => `::${severity === 'error' ? 'error' : 'warning'} file=${file},title=${rule}::${escape(`${tokenPath}: ${message}`)}`)
+        .join('\n');
+}
+
+// Run the lint
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+    const optionValues = [option('--config'), option('--format')];
+    const [inputPath = TOKENS_INPUT_PATH] = args.filter(arg => !arg.startsWith('--') && !optionValues.includes(arg));
+    const format = option('--format') || 'text';
+
+    try {
+        if (!['text', 'json', 'github'].includes(format)) {
+            throw new Error(`--format expects text, json or github, got "${format}"`);
+        }
+
+        const configPath = option('--config') ? path.resolve(option('--config')) : CONFIG_PATH;
+        if (option('--config') && !fs.existsSync(configPath)) {
+            throw new Error(`No lint config at ${configPath}`);
+        }
+
+        const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+        const tokens = loadValidatedTokens(path.resolve(inputPath));
+        const findings = lintTokens(tokens, config);
+        const errors = findings.filter(finding => finding.severity === 'error').length;
+
+        if (format === 'json') {
+            console.log(JSON.stringify(findings, null, 2));
+        } else if (format === 'github') {
+            if (findings.length > 0) console.log(toGitHubAnnotations(findings, path.relative(REPO_ROOT, path.resolve(inputPath))));
+        } else if (findings.length === 0) {
+            console.log('✅ No token lint findings');
+        } else {
+            console.log(toText(findings));
+            console.log(`\n${errors} error${errors === 1 ? '' : 's'}, ${findings.length - errors} warning${findings.length - errors === 1 ? '' : 's'}`);
+        }
+
+        if (errors > 0) process.exit(1);
+    } catch (error) {
+        console.error(`❌ Token lint failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    RULES,
+    resolveConfig,
+    lintTokens,
+    toGitHubAnnotations
+};
@@ -0,0 +1,169 @@
+/**
+ * Token Names
+ *
+ * Turns Figma variable names into token names and token names into code
+ * identifiers. Figma allows almost anything in a name, so different
+ * variables can end up with the same token name ("primary-800" and
+ * "primary/800") or with identifiers that don't compile (`default`, `100`).
+ * These helpers catch both before any file is written.
+ */
+
+// Leading words dropped from Figma names, since the category already says it
+const CATEGORY_PREFIXES = [['color'], ['spacing'], ['typography'], ['border', 'radius'], ['borderradius']];
+
+const TOKEN_NAME = /^[A-Za-z0-9_]+$/;
+
+const SWIFT_KEYWORDS = new Set([
+    'associatedtype', 'class', 'deinit', 'enum', 'extension', 'fileprivate', 'func', 'import', 'init',
+    'inout', 'internal', 'let', 'open', 'operator', 'private', 'precedencegroup', 'protocol', 'public',
+    'rethrows', 'static', 'struct', 'subscript', 'typealias', 'var', 'break', 'case', 'catch', 'continue',
+    'default', 'defer', 'do', 'else', 'fallthrough', 'for', 'guard', 'if', 'in', 'repeat', 'return',
+    'throw', 'switch', 'where', 'while', 'as', 'await', 'false', 'is', 'nil', 'self', 'super', 'throws',
+    'true', 'try'
+]);
+
+const KOTLIN_KEYWORDS = new Set([
+    'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface',
+    'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias',
+    'typeof', 'val', 'var', 'when', 'while'
+]);
+
+// Members SwiftUI and UIKit already declare on the types a category extends; a token with one of these names would be a redeclaration
+const RESERVED_MEMBERS = {
+    color: {
+        Color: [
+            'accentColor', 'black', 'blue', 'brown', 'clear', 'cyan', 'gray', 'green', 'indigo', 'mint', 'orange',
+            'pink', 'primary', 'purple', 'red', 'secondary', 'teal', 'white', 'yellow'
+        ],
+        UIColor: [
+            'black', 'blue', 'brown', 'clear', 'cyan', 'darkGray', 'darkText', 'gray', 'green', 'label', 'lightGray',
+            'lightText', 'link', 'magenta', 'opaqueSeparator', 'orange', 'placeholderText', 'purple', 'quaternaryLabel',
+            'quaternarySystemFill', 'red', 'secondaryLabel', 'secondarySystemBackground', 'secondarySystemFill',
+            'secondarySystemGroupedBackground', 'separator', 'systemBackground', 'systemBlue', 'systemBrown',
+            'systemCyan', 'systemFill', 'systemGray', 'systemGray2', 'systemGray3', 'systemGray4', 'systemGray5',
+            'systemGray6', 'systemGreen', 'systemGroupedBackground', 'systemIndigo', 'systemMint', 'systemOrange',
+            'systemPink', 'systemPurple', 'systemRed', 'systemTeal', 'systemYellow', 'tertiaryLabel',
+            'tertiarySystemBackground', 'tertiarySystemFill', 'tertiarySystemGroupedBackground', 'tintColor', 'white',
+            'yellow'
+        ]
+    },
+    typography: {
+        Font: [
+            'body', 'callout', 'caption', 'caption2', 'footnote', 'headline', 'largeTitle', 'subheadline', 'title',
+            'title2', 'title3'
+        ]
+    }
+};
+
+/**
+ * camelCase token name for a Figma variable name:
+ * "Color/Primary 800" -> "primary800", "button-background" -> "buttonBackground"
+ */
+function toTokenName(figmaName) {
+    let words = String(figmaName)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+
+    const prefix = CATEGORY_PREFIXES.find(prefixWords => prefixWords.every((word, index) => words[index] === word));
+    if (prefix && words.length > prefix.length) {
+        words = words.slice(prefix.length);
+    }
+
+    return words
+        .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+// Identifier for a token name: first letter lowercased, `_` before a leading digit, keywords escaped
+function toIdentifier(name, keywords) {
+    const identifier = name.charAt(0).toLowerCase() + name.slice(1);
+
+    if (/^[0-9]/.test(identifier)) return `_${identifier}`;
+    if (keywords.has(identifier)) return `\`${identifier}\``;
+    return identifier;
+}
+
+function toSwiftIdentifier(name) {
+    return toIdentifier(name, SWIFT_KEYWORDS);
+}
+
+function toKotlinIdentifier(name) {
+    return toIdentifier(name, KOTLIN_KEYWORDS);
+}
+
+// How a token is named in error messages: `primary800 (Figma "Primary/800")`
+function describeToken(name, token) {
+    return token && token.originalName ? `${name} (Figma "${token.originalName}")` : name;
+}
+
+/**
+ * Group Figma variables that map to the same token path.
+ * `entries` is [{ path, originalName }]; returns an error message for every
+ * path claimed by more than one variable.
+ */
+function findPathCollisions(entries) {
+    const byPath = {};
+    entries.forEach(({ path, originalName }) => {
+        (byPath[path] = byPath[path] || []).push(originalName);
+    });
+
+    return Object.entries(byPath)
+        .filter(([, names]) => names.length > 1)
+        .map(([path, names]) => `${path}: ${names.map(name => `"${name}"`).join(', ')} all map to the same token name`);
+}
+
+// Built-in members a token's identifier would redeclare: ["Color.primary"]
+function reservedMembers(category, name) {
+    const identifier = toSwiftIdentifier(name);
+
+    return Object.entries(RESERVED_MEMBERS[category] || {})
+        .filter(([, members]) => members.includes(identifier))
+        .map(([type]) => `${type}.${identifier}`);
+}
+
+/**
+ * Check every token name. Returns a list of error messages, empty when each
+ * name is usable, doesn't redeclare a SwiftUI or UIKit member and no two
+ * tokens of a category share a code identifier.
+ */
+function validateNames(tokens) {
+    const errors = [];
+
+    Object.entries(tokens).forEach(([category, group]) => {
+        if (category.startsWith('$') || !group || typeof group !== 'object') return;
+
+        const byIdentifier = {};
+        Object.entries(group).forEach(([name, token]) => {
+            if (!TOKEN_NAME.test(name)) {
+                errors.push(`${category}.${name}: token names may only contain letters, digits and underscores`);
+                return;
+            }
+
+            const reserved = reservedMembers(category, name);
+            if (reserved.length > 0) {
+                errors.push(`${category}.${describeToken(name, token)}: would redeclare the built-in ${reserved.join(' and ')}; rename it in Figma`);
+            }
+
+            const identifier = toSwiftIdentifier(name);
+            (byIdentifier[identifier] = byIdentifier[identifier] || []).push(describeToken(name, token));
+        });
+
+        Object.entries(byIdentifier)
+            .filter(([, names]) => names.length > 1)
+            .forEach(([identifier, names]) => {
+                errors.push(`${category}: ${names.join(', ')} all generate the identifier ${identifier}`);
+            });
+    });
+
+    return errors;
+}
+
+module.exports = {
+    toTokenName,
+    toSwiftIdentifier,
+    toKotlinIdentifier,
+    findPathCollisions,
+    validateNames
+};
@@ -0,0 +1,87 @@
+/**
+ * Token References
+ *
+ * Helpers for alias tokens. Figma variables that point at another variable
+ * are stored as references like `{color.primary800}` (category and token name)
+ * so the semantic layer survives into generated code.
+ */
+
+const REFERENCE_PATTERN = /^\{([^.{}]+)\.([^.{}]+)\}$/;
+
+function isReference(value) {
+    return typeof value === 'string' && REFERENCE_PATTERN.test(value);
+}
+
+function parseReference(value) {
+    const match = typeof value === 'string' ? value.match(REFERENCE_PATTERN) : null;
+    return match ? { category: match[1], name: match[2] } : null;
+}
+
+function toReference(category, name) {
+    return `{${category}.${name}}`;
+}
+
+/**
+ * Follow an alias chain to its concrete value.
+ * When `mode` is given, each hop prefers the target's value for that mode.
+ * Throws on dangling references and on cycles, naming the whole chain.
+ */
+function resolveReference(tokens, value, mode) {
+    const chain = [];
+    let current = value;
+
+    while (isReference(current)) {
+        if (chain.includes(current)) {
+            throw new Error(`Circular alias: ${chain.concat(current).join(' → ')}`);
+        }
+        chain.push(current);
+
+        const { category, name } = parseReference(current);
+        const target = tokens[category] && tokens[category][name];
+        if (!target) {
+            throw new Error(`Unknown alias target ${current}${chain.length > 1 ? ` (via ${chain.join(' → ')})` : ''}`);
+        }
+
+        current = mode && target.modes && mode in target.modes ? target.modes[mode] : target.value;
+    }
+
+    return current;
+}
+
+/**
+ * Check every alias in a token set. Returns a list of error messages,
+ * empty when all references resolve.
+ */
+function validateReferences(tokens) {
+    const errors = [];
+
+    Object.entries(tokens).forEach(([category, group]) => {
+        if (category.startsWith('$') || !group || typeof group !== 'object') return;
+
+        Object.entries(group).forEach(([name, token]) => {
+            const values = [['value', token.value]].concat(
+                Object.entries(token.modes || {}).map(([mode, value]) => [`modes.${mode}`, value])
+            );
+
+            values.forEach(([field, value]) => {
+                if (!isReference(value)) return;
+
+                try {
+                    resolveReference(tokens, value, field.startsWith('modes.') ? field.slice(6) : undefined);
+                } catch (error) {
+                    errors.push(`${category}.${name}.${field}: ${error.message}`);
+                }
+            });
+        });
+    });
+
+    return errors;
+}
+
+module.exports = {
+    isReference,
+    parseReference,
+    toReference,
+    resolveReference,
+    validateReferences
+};
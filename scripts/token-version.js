@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Token Versioning
+ *
+ * Computes the semantic version of a token release by comparing it with
+ * the previous snapshot:
+ *
+ *   major - a generated Swift identifier was removed or renamed
+ *   minor - tokens were added, or renamed with a deprecated alias
+ *   patch - only values changed
+ *
+ * Renamed tokens keep their old name as a deprecated alias for a number of
+ * releases. The aliases are tracked in `$metadata.deprecations`:
+ *
+ *   [{ category, name, renamed, variableId, since, releases }]
+ *
+ * where `releases` counts down with every release until the alias is
+ * removed (a major change).
+ *
+ * Usage: node token-version.js [previous] [--alias-releases <n>] [--dry-run]
+ *
+ * `previous` is a file path or git revision (default HEAD~1). The new version
+ * and deprecations are written to `$metadata` in tokens/figma-tokens.json;
+ * generated package manifests pick the version up from there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSnapshot, diffTokens, hasChanges } = require('./token-diff');
+const { toSwiftIdentifier } = require('./token-names');
+
+const TOKENS_INPUT_PATH = path.join(__dirname, '../tokens/figma-tokens.json');
+
+// Version assumed for snapshots written before versioning existed
+const INITIAL_VERSION = '1.0.0';
+
+// Releases a renamed token keeps its deprecated alias, unless configured
+const DEFAULT_ALIAS_RELEASES = 2;
+
+const LEVELS = ['patch', 'minor', 'major'];
+
+// Only case or punctuation changed: the Swift constant keeps its name
+function keepsIdentifier({ category, name, from }) {
+    return from.category === category && toSwiftIdentifier(from.name) === toSwiftIdentifier(name);
+}
+
+/**
+ * Carry deprecated aliases into the next release. Existing aliases follow
+ * further renames of their target and count down one release; aliases that
+ * run out or whose target was removed expire. Renames within a category get
+ * a new alias. Returns { deprecations, expired }.
+ */
+function updateDeprecations(previousDeprecations, diff, tokens, aliasReleases) {
+    const expired = [];
+    const deprecations = [];
+    const exists = (category, name) => Boolean(tokens[category] && tokens[category][name]);
+
+    (previousDeprecations || []).forEach(deprecation => {
+        const renamedAgain = diff.renamed.find(({ from }) => from.category === deprecation.category && from.name === deprecation.renamed);
+        const renamed = renamedAgain && renamedAgain.category === deprecation.category ? renamedAgain.name : deprecation.renamed;
+        const releases = deprecation.releases - 1;
+
+        // The old name is a real token again
+        if (exists(deprecation.category, deprecation.name)) return;
+
+        if (releases <= 0 || !exists(deprecation.category, renamed)) {
+            expired.push(deprecation);
+        } else {
+            deprecations.push(Object.assign({}, deprecation, { renamed, releases }));
+        }
+    });
+
+    if (aliasReleases > 0) {
+        diff.renamed
+            .filter(rename => rename.from.category === rename.category && !keepsIdentifier(rename) && !exists(rename.category, rename.from.name))
+            .forEach(({ category, name, from, token }) => {
+                deprecations.push({ category, name: from.name, renamed: name, variableId: token.variableId, releases: aliasReleases });
+            });
+    }
+
+    return { deprecations, expired };
+}
+
+/**
+ * Release level of a token diff and the reasons for it:
+ * { level: 'major' | 'minor' | 'patch' | null, reasons: [string] }
+ * `deprecations` are the aliases kept for this release's renames, `expired`
+ * the aliases it removes.
+ */
+function classifyChanges(diff, { deprecations = [], expired = [] } = {}) {
+    const reasons = { major: [], minor: [], patch: [] };
+
+    diff.removed.forEach(({ category, name }) => {
+        reasons.major.push(`removed ${category}.${name}`);
+    });
+
+    expired.forEach(({ category, name }) => {
+        reasons.major.push(`removed deprecated ${category}.${name}`);
+    });
+
+    diff.renamed.forEach(rename => {
+        const { category, name, from, changes } = rename;
+        const aliased = deprecations.some(deprecation => deprecation.category === from.category && deprecation.name === from.name);
+
+        if (keepsIdentifier(rename)) {
+            if (changes.length > 0) reasons.patch.push(`changed ${category}.${name}`);
+        } else if (aliased) {
+            reasons.minor.push(`deprecated ${from.category}.${from.name} in favor of ${category}.${name}`);
+        } else {
+            reasons.major.push(`renamed ${from.category}.${from.name} → ${category}.${name}`);
+        }
+    });
+
+    diff.added.forEach(({ category, name }) => {
+        reasons.minor.push(`added ${category}.${name}`);
+    });
+
+    diff.changed.forEach(({ category, name }) => {
+        reasons.patch.push(`changed ${category}.${name}`);
+    });
+
+    const level = LEVELS.slice().reverse().find(candidate => reasons[candidate].length > 0) || null;
+    return { level, reasons: level ? reasons[level] : [] };
+}
+
+function bumpVersion(version, level) {
+    const match = String(version).match(/^(\d+)\.(\d+)\.(\d+)/);
+    const [major, minor, patch] = match ? match.slice(1).map(Number) : [1, 0, 0];
+
+    switch (level) {
+        case 'major':
+            return `${major + 1}.0.0`;
+        case 'minor':
+            return `${major}.${minor + 1}.0`;
+        case 'patch':
+            return `${major}.${minor}.${patch + 1}`;
+        default:
+            return `${major}.${minor}.${patch}`;
+    }
+}
+
+/**
+ * Version for `tokens` as the release after `previous`. Without a previous
+ * snapshot the tokens are the first release. `aliasReleases` sets how many
+ * releases renamed tokens keep a deprecated alias (0 disables aliases).
+ * Returns { version, previousVersion, level, reasons, deprecations }.
+ */
+function nextVersion(previous, tokens, { aliasReleases = DEFAULT_ALIAS_RELEASES } = {}) {
+    if (!previous) {
+        return { version: INITIAL_VERSION, previousVersion: null, level: null, reasons: [], deprecations: [] };
+    }
+
+    const previousMetadata = previous.$metadata || {};
+    const previousVersion = previousMetadata.version || INITIAL_VERSION;
+    const diff = diffTokens(previous, tokens);
+
+    // Aliases only count down when something was released
+    if (!hasChanges(diff)) {
+        return { version: previousVersion, previousVersion, level: null, reasons: [], deprecations: previousMetadata.deprecations || [] };
+    }
+
+    const { deprecations, expired } = updateDeprecations(previousMetadata.deprecations, diff, tokens, aliasReleases);
+    const { level, reasons } = classifyChanges(diff, { deprecations, expired });
+    const version = bumpVersion(previousVersion, level);
+
+    return {
+        version,
+        previousVersion,
+        level,
+        reasons,
+        deprecations: deprecations.map(deprecation => Object.assign({}, deprecation, { since: deprecation.since || version }))
+    };
+}
+
+// `$metadata` of a release: the previous metadata with the new version and deprecations
+function releaseMetadata(metadata, { version, deprecations }) {
+    const updated = Object.assign({}, metadata, { version });
+
+    if (deprecations.length > 0) {
+        updated.deprecations = deprecations;
+    } else {
+        delete updated.deprecations;
+    }
+
+    return updated;
+}
+
+// One-line summary for logs: "1.2.0 → 2.0.0 (major: removed color.primary800, …)"
+function describeRelease({ version, previousVersion, level, reasons }) {
+    if (!previousVersion) return `${version} (first release)`;
+    if (!level) return `${version} (no token changes)`;
+
+    const shown = reasons.slice(0, 3).join(', ');
+    const more = reasons.length > 3 ? `, +${reasons.length - 3} more` : '';
+    return `${previousVersion} → ${version} (${level}: ${shown}${more})`;
+}
+
+// Run the versioning
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const aliasIndex = args.indexOf('--alias-releases');
+    const aliasReleases = aliasIndex === -1 ? DEFAULT_ALIAS_RELEASES : parseInt(args[aliasIndex + 1], 10);
+    const [previousSource = 'HEAD~1'] = args.filter((arg, index) => !arg.startsWith('--') && (aliasIndex === -1 || index !== aliasIndex + 1));
+
+    try {
+        if (!Number.isInteger(aliasReleases) || aliasReleases < 0) {
+            throw new Error('--alias-releases expects a number of releases');
+        }
+
+        const document = JSON.parse(fs.readFileSync(TOKENS_INPUT_PATH, 'utf8'));
+        const release = nextVersion(loadSnapshot(previousSource), loadSnapshot(TOKENS_INPUT_PATH), { aliasReleases });
+
+        console.log(`📦 Token version ${describeRelease(release)}`);
+        release.deprecations.forEach(({ category, name, renamed, releases }) => {
+            console.log(`   ⚠️  ${category}.${name} is a deprecated alias of ${renamed} for ${releases} more release${releases === 1 ? '' : 's'}`);
+        });
+
+        const metadata = releaseMetadata(document.$metadata, release);
+        if (!args.includes('--dry-run') && JSON.stringify(metadata) !== JSON.stringify(document.$metadata)) {
+            document.$metadata = metadata;
+            fs.writeFileSync(TOKENS_INPUT_PATH, JSON.stringify(document, null, 2));
+        }
+    } catch (error) {
+        console.error(`❌ Versioning failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    classifyChanges,
+    bumpVersion,
+    nextVersion,
+    releaseMetadata,
+    describeRelease,
+    DEFAULT_ALIAS_RELEASES
+};
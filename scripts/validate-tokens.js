@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * Token Schema Validation
+ *
+ * Checks figma-tokens.json against the shape the Swift generators expect
+ * before anything is written. Every problem is reported with its token path,
+ * e.g. `color.primary800.value: expected a hex color like "#1a2b3c", got number 12`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isReference, resolveReference } = require('./token-references');
+const { validateNames } = require('./token-names');
+const { isDTCG, fromDTCG } = require('./token-formats');
+const { COLOR_SPACES } = require('./token-colors');
+
+const TOKENS_INPUT_PATH = path.join(__dirname, '../tokens/figma-tokens.json');
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const TEXT_CASES = ['uppercase', 'lowercase', 'capitalize'];
+const TEXT_DECORATIONS = ['underline', 'line-through'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return `string "${value}"`;
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${value}`;
+}
+
+// Each checker returns null for a valid value, or what was expected instead
+const VALUE_SCHEMAS = {
+    color(value) {
+        return typeof value === 'string' && HEX_COLOR.test(value) ? null : 'a hex color like "#1a2b3c"';
+    },
+
+    typography(value) {
+        if (isNumber(value)) return null;
+        if (!isObject(value)) return 'a font size, a { fontSize, fontWeight, lineHeight } object or an alias';
+        if (!isNumber(value.fontSize)) return 'fontSize to be a number';
+        if (value.fontFamily !== undefined && typeof value.fontFamily !== 'string') return 'fontFamily to be a string like "Inter"';
+        if (value.fontWeight !== undefined && typeof value.fontWeight !== 'string') return 'fontWeight to be a string like "bold"';
+        if (value.lineHeight !== undefined && !isNumber(value.lineHeight)) return 'lineHeight to be a number';
+        if (value.letterSpacing !== undefined && !isNumber(value.letterSpacing)) return 'letterSpacing to be a number';
+        if (value.textCase !== undefined && !TEXT_CASES.includes(value.textCase)) return `textCase to be one of ${TEXT_CASES.join(', ')}`;
+        if (value.textDecoration !== undefined && !TEXT_DECORATIONS.includes(value.textDecoration)) return `textDecoration to be one of ${TEXT_DECORATIONS.join(', ')}`;
+        return null;
+    },
+
+    spacing(value) {
+        return isNumber(value) ? null : 'a number';
+    },
+
+    borderRadius(value) {
+        return isNumber(value) ? null : 'a number';
+    },
+
+    // One shadow layer or an array of layers, drawn in order
+    shadow(value) {
+        const layers = Array.isArray(value) ? value : [value];
+        if (layers.length === 0 || !layers.every(isObject)) return 'a { offset, blur, color, opacity } shadow, an array of them or an alias';
+
+        for (const [index, layer] of layers.entries()) {
+            const prefix = Array.isArray(value) ? `layer ${index} ` : '';
+            if (!isObject(layer.offset) || !isNumber(layer.offset.x) || !isNumber(layer.offset.y)) return `${prefix}offset to be { x, y } numbers`;
+            if (!isNumber(layer.blur)) return `${prefix}blur to be a number`;
+            if (layer.spread !== undefined && !isNumber(layer.spread)) return `${prefix}spread to be a number`;
+            if (VALUE_SCHEMAS.color(layer.color)) return `${prefix}color to be a hex color like "#000000"`;
+            if (!isNumber(layer.opacity)) return `${prefix}opacity to be a number`;
+            if (layer.inset !== undefined && typeof layer.inset !== 'boolean') return `${prefix}inset to be true or false`;
+        }
+        return null;
+    },
+
+    opacity(value) {
+        return isNumber(value) && value >= 0 && value <= 1 ? null : 'a number between 0 and 1';
+    },
+
+    boolean(value) {
+        return typeof value === 'boolean' ? null : 'true or false';
+    },
+
+    string(value) {
+        return typeof value === 'string' ? null : 'a string';
+    },
+
+    gradient(value) {
+        const isFraction = (n) => isNumber(n) && n >= 0 && n <= 1;
+        const isPoint = (point) => isObject(point) && isNumber(point.x) && isNumber(point.y);
+
+        if (!isObject(value) || !['linear', 'radial'].includes(value.type)) return 'a { type: "linear" | "radial", stops } gradient or an alias';
+        if (!Array.isArray(value.stops) || value.stops.length < 2) return 'stops to be an array of at least two { position, color, opacity } stops';
+
+        for (const [index, stop] of value.stops.entries()) {
+            if (!isObject(stop) || !isFraction(stop.position)) return `stop ${index} position to be a number between 0 and 1`;
+            if (VALUE_SCHEMAS.color(stop.color)) return `stop ${index} color to be a hex color like "#000000"`;
+            if (!isFraction(stop.opacity)) return `stop ${index} opacity to be a number between 0 and 1`;
+        }
+
+        if (value.type === 'linear' && !isNumber(value.angle)) return 'angle to be a number of degrees';
+        if (value.type === 'radial' && (!isPoint(value.center) || !isPoint(value.radius))) return 'center and radius to be { x, y } fractions of the layer size';
+        return null;
+    }
+};
+
+function validateValue(tokens, category, tokenPath, value, mode) {
+    let resolved = value;
+
+    if (isReference(value)) {
+        try {
+            resolved = resolveReference(tokens, value, mode);
+        } catch (error) {
+            return [`${tokenPath}: ${error.message}`];
+        }
+    }
+
+    const expected = VALUE_SCHEMAS[category](resolved);
+    if (!expected) return [];
+
+    const via = resolved === value ? '' : ` (via alias ${value})`;
+    return [`${tokenPath}: expected ${expected}, got ${describe(resolved)}${via}`];
+}
+
+/**
+ * Validate a parsed token file. Returns a list of error messages,
+ * empty when the tokens can be generated safely.
+ */
+function validateTokens(tokens) {
+    if (!isObject(tokens)) {
+        return [`tokens: expected an object, got ${describe(tokens)}`];
+    }
+
+    const errors = [];
+
+    // Every color is read in this space, so an unknown one would silently shift them all
+    const colorSpace = tokens.$metadata && tokens.$metadata.colorSpace;
+    if (colorSpace !== undefined && !COLOR_SPACES.includes(colorSpace)) {
+        errors.push(`$metadata.colorSpace: expected one of ${COLOR_SPACES.join(', ')}, got ${describe(colorSpace)}`);
+    }
+
+    Object.entries(tokens).forEach(([category, group]) => {
+        if (category.startsWith('$')) return;
+
+        if (!VALUE_SCHEMAS[category]) {
+            errors.push(`${category}: unknown token category (expected one of ${Object.keys(VALUE_SCHEMAS).join(', ')})`);
+            return;
+        }
+
+        if (!isObject(group)) {
+            errors.push(`${category}: expected an object of tokens, got ${describe(group)}`);
+            return;
+        }
+
+        Object.entries(group).forEach(([name, token]) => {
+            const tokenPath = `${category}.${name}`;
+
+            if (!isObject(token) || !('value' in token)) {
+                errors.push(`${tokenPath}: expected a token object with a "value" field, got ${describe(token)}`);
+                return;
+            }
+
+            errors.push(...validateValue(tokens, category, `${tokenPath}.value`, token.value));
+
+            if (token.description !== undefined && typeof token.description !== 'string') {
+                errors.push(`${tokenPath}.description: expected a string, got ${describe(token.description)}`);
+            }
+
+            if (token.private !== undefined && typeof token.private !== 'boolean') {
+                errors.push(`${tokenPath}.private: expected true or false, got ${describe(token.private)}`);
+            }
+
+            if (token.modes !== undefined) {
+                if (!isObject(token.modes)) {
+                    errors.push(`${tokenPath}.modes: expected an object keyed by mode name, got ${describe(token.modes)}`);
+                    return;
+                }
+
+                Object.entries(token.modes).forEach(([mode, value]) => {
+                    errors.push(...validateValue(tokens, category, `${tokenPath}.modes.${mode}`, value, mode));
+                });
+            }
+        });
+    });
+
+    // Names that collide or can't become identifiers would break the generated code
+    errors.push(...validateNames(tokens));
+
+    return errors;
+}
+
+/**
+ * Read, parse and validate a token file. Prints every error and exits
+ * with status 1 when the file can't be used, so CI fails before generation.
+ */
+function loadValidatedTokens(filePath = TOKENS_INPUT_PATH) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${filePath}: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Accept both the plugin's own format and W3C DTCG files
+    const tokens = isDTCG(parsed) ? fromDTCG(parsed) : parsed;
+
+    const errors = validateTokens(tokens);
+    if (errors.length > 0) {
+        console.error(`❌ ${errors.length} invalid token${errors.length === 1 ? '' : 's'} in ${path.basename(filePath)}:`);
+        errors.forEach(error => console.error(`   ${error}`));
+        process.exit(1);
+    }
+
+    return tokens;
+}
+
+// Run the validation
+if (require.main === module) {
+    const tokens = loadValidatedTokens(process.argv[2] ? path.resolve(process.argv[2]) : TOKENS_INPUT_PATH);
+    const count = Object.entries(tokens)
+        .filter(([category]) => !category.startsWith('$'))
+        .reduce((total, [, group]) => total + Object.keys(group).length, 0);
+
+    console.log(`✅ ${count} tokens are valid`);
+}
+
+module.exports = {
+    validateTokens,
+    loadValidatedTokens
+};
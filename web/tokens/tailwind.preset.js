@@ -0,0 +1,41 @@
+//
+//  tailwind.preset.js
+//  Design System
+//
+//  ⚠️  AUTO-GENERATED FILE - DO NOT EDIT MANUALLY
+//  Generated from Figma Variables via Style Dictionary
+//  Content hash: 19efa318670c
+//
+//  Usage: presets: [require('./web/tokens/tailwind.preset.js')] in tailwind.config.js
+//  Values point at the variables in tokens.css, so import that stylesheet too.
+//
+
+module.exports = {
+  "theme": {
+    "extend": {
+      "colors": {
+        "primary600": "var(--color-primary600)",
+        "primary800": "var(--color-primary800)",
+        "secondary400": "var(--color-secondary400)",
+        "ssbackground": "var(--color-ssbackground)",
+        "ssforeground": "var(--color-ssforeground)"
+      },
+      "spacing": {
+        "averagelineheight": "var(--spacing-averagelineheight)",
+        "fontsizecapcaption": "var(--spacing-fontsizecapcaption)",
+        "fontsizem": "var(--spacing-fontsizem)",
+        "fontsizexl": "var(--spacing-fontsizexl)",
+        "fontsizexs": "var(--spacing-fontsizexs)",
+        "l": "var(--spacing-l)",
+        "largelineheight": "var(--spacing-largelineheight)",
+        "m": "var(--spacing-m)",
+        "s": "var(--spacing-s)",
+        "xl": "var(--spacing-xl)"
+      },
+      "borderRadius": {
+        "cornerradius1": "var(--border-radius-cornerradius1)",
+        "cornerradius2": "var(--border-radius-cornerradius2)"
+      }
+    }
+  }
+};